@@ -1,3 +1,4 @@
 // Central export file for SDFGrid and its helpers
 export { SDFGrid } from './SDFGridCore.js';
+export { SDFWorld } from './SDFGridWorld.js';
 export * from './SDFGridHelpers.js';
@@ -0,0 +1,96 @@
+// Accelerated SDF evaluation: the distance field sampled on a regular grid (`resolution`
+// samples per logical cell along each axis, each sample using its own layer's shape) and
+// read back with trilinear interpolation. Queries within `band` of the surface, or outside the sampled
+// box, fall back to exact evaluation. While enabled, sdfGrad also uses closed-form gradients.
+//
+// this.sdfAccel = { enabled, resolution (samples per cell, default 2), band (world units;
+//                   default one sample spacing) }
+import { SDF_PRIMITIVES, evalShapeGrad, defaultPrimitive } from './SDFGridPrimitives.js';
+
+export function setSdfAccel(opts){
+  this.sdfAccel = { ...this.sdfAccel, ...opts };
+  this._sdfField = null;
+  return this.sdfAccel;
+}
+
+// Built lazily; dropped by initializeGrid (any reshape) and setSdfAccel.
+export function _ensureSdfField(){
+  if (this._sdfField) return this._sdfField;
+
+  const res=Math.max(0.25, +this.sdfAccel.resolution || 2);
+  const W=this.state.gridWidth, H=this.state.gridHeight, D=this.state.gridDepth;
+  const nxC=Math.max(1, Math.round(this.state.cellsX*res));
+  const nyC=Math.max(1, Math.round(this.state.cellsY*res));
+  const nzC=Math.max(1, Math.round(this.effectiveCellsZ*res));
+  const dx=W/nxC, dy=H/nyC, dz=D/nzC;
+  // one node of margin around the box so particles just outside still hit the cache
+  const nx=nxC+3, ny=nyC+3, nz=nzC+3;
+  const x0=-W/2-dx, y0=-H/2-dy, z0=-D/2-dz;
+  const data=new Float32Array(nx*ny*nz);
+  const p=new THREE.Vector3();
+  for (let k=0;k<nz;k++){
+    const zw=this.position.z+z0+k*dz;
+    const zi=this.zLayerIndexFromWorldZ(zw);
+    for (let j=0;j<ny;j++){
+      for (let i=0;i<nx;i++){
+        p.set(this.position.x+x0+i*dx, this.position.y+y0+j*dy, zw);
+        data[(k*ny+j)*nx+i]=this.sdfExact(p, zi);
+      }
+    }
+  }
+  this._sdfField={ nx, ny, nz, x0, y0, z0, dx, dy, dz, data };
+  return this._sdfField;
+}
+
+// Trilinear sample at a grid-local position; null when outside the sampled volume.
+function sampleField(f, lx, ly, lz){
+  const fx=(lx-f.x0)/f.dx, fy=(ly-f.y0)/f.dy, fz=(lz-f.z0)/f.dz;
+  if (fx<0 || fy<0 || fz<0 || fx>f.nx-1 || fy>f.ny-1 || fz>f.nz-1) return null;
+  const i=Math.min(f.nx-2, fx|0), j=Math.min(f.ny-2, fy|0), k=Math.min(f.nz-2, fz|0);
+  const tx=fx-i, ty=fy-j, tz=fz-k;
+  const d=f.data, sx=1, sy=f.nx, sz=f.nx*f.ny;
+  const o=k*sz+j*sy+i;
+  const c00=d[o]        +(d[o+sx]        -d[o])        *tx;
+  const c10=d[o+sy]     +(d[o+sy+sx]     -d[o+sy])     *tx;
+  const c01=d[o+sz]     +(d[o+sz+sx]     -d[o+sz])     *tx;
+  const c11=d[o+sz+sy]  +(d[o+sz+sy+sx]  -d[o+sz+sy])  *tx;
+  const c0=c00+(c10-c00)*ty, c1=c01+(c11-c01)*ty;
+  return c0+(c1-c0)*tz;
+}
+
+// Cached distance, or null when the exact evaluator should be used.
+export function _sampleSdfField(point){
+  const f=this._ensureSdfField();
+  const d=sampleField(f, point.x-this.position.x, point.y-this.position.y, point.z-this.position.z);
+  if (d===null) return null;
+  const band=this.sdfAccel.band ?? Math.max(f.dx, f.dy);
+  return Math.abs(d)<band ? null : d;
+}
+
+// Gradient of the interpolated field by central differences at sample spacing.
+export function _sampleSdfFieldGrad(point){
+  if (this._sampleSdfField(point)===null) return null;
+  const f=this._sdfField;
+  const lx=point.x-this.position.x, ly=point.y-this.position.y, lz=point.z-this.position.z;
+  const hx=f.dx/2, hy=f.dy/2, hz=f.dz/2;
+  const s=(x,y,z)=>sampleField(f,x,y,z);
+  const a=s(lx+hx,ly,lz), b=s(lx-hx,ly,lz), c=s(lx,ly+hy,lz), d=s(lx,ly-hy,lz);
+  const e=s(lx,ly,lz+hz), g=s(lx,ly,lz-hz);
+  if (a===null || b===null || c===null || d===null || e===null || g===null) return null;
+  return new THREE.Vector3((a-b)/(2*hx), (c-d)/(2*hy), (e-g)/(2*hz));
+}
+
+// Closed-form gradient for cube/sphere/primitive/CSG shapes; null for SVG shapes.
+export function _analyticSdfGrad(point){
+  const S=this.state;
+  const x=point.x-this.position.x, y=point.y-this.position.y, z=point.z-this.position.z;
+  let g=null;
+  if (S.shapeType==='cube'){
+    const q=[Math.abs(x)-S.gridWidth/2, Math.abs(y)-S.gridHeight/2, Math.abs(z)-S.gridDepth/2];
+    const a=q[0]>=q[1]&&q[0]>=q[2] ? 0 : (q[1]>=q[2] ? 1 : 2);
+    g=[0,0,0]; g[a]=[x,y,z][a]<0 ? -1 : 1;
+  }
+  else if (S.shapeType==='csg' && S.shapeTree) g=evalShapeGrad(S.shapeTree, x,y,z).g;
+  else if (SDF_PRIMITIVES.includes(S.shapeType)) g=evalShapeGrad(defaultPrimitive(S.shapeType, S), x,y,z).g;
+  return g ? new THREE.Vector3(g[0], g[1], g[2]) : null;
+}
@@ -1,12 +1,15 @@
 import { DENSE_W, DENSE_H, STORE_META } from './SDFGridConstants.js';
 import { arraysEqual } from './SDFGridUtil.js';
-import { openBucketLC, openFieldDB, idbGet, idbPut } from './SDFGridStorage.js';
-import { pickNucleusByDirection } from './SDFGridNucleus.js';
+import { openStorage } from './SDFGridStorage.js';
+import { normalizeNucleusRule } from './SDFGridNucleus.js';
+import { makeSchema, schemaRecord, schemaFromRecord } from './SDFGridSchema.js';
 
-export async function _initBuckets(dir){
-  this._bucket = await openBucketLC(this.bucketNameLC);
-  if (!this._bucket){ console.warn('Storage Buckets unavailable'); return; }
-  this._db = await openFieldDB(this._bucket);
+export async function _initBuckets(){
+  const store = await openStorage(this.bucketNameLC, this.storageOptions);
+  if (!store){ console.warn('SDFGrid storage unavailable'); return; }
+  if (this._disposed){ await store.close(); return; }
+  this._db = store;
+  this._bucket = store.bucket || null;
 
   const layoutVal = {
     w:this.state.cellsX, h:this.state.cellsY, layers:this.effectiveCellsZ,
@@ -14,29 +17,44 @@ export async function _initBuckets(dir){
     shapeType:this.state.shapeType||'',
     gw:this.state.gridWidth, gh:this.state.gridHeight, gd:this.state.gridDepth
   };
-  await idbPut(this._db, STORE_META, 'layout', layoutVal);
+  await this._db.put(STORE_META, 'layout', layoutVal);
+  await this._syncBaseSDF();
 
-  const curSchema = await idbGet(this._db, STORE_META, 'schema');
-  if (!curSchema || !arraysEqual(curSchema.fields||[], this.schema.fieldNames)){
-    await idbPut(this._db, STORE_META, 'schema', { id:this.schema.id, fields:this.schema.fieldNames });
+  // the stored schema wins unless the constructor asked for different fields, which then
+  // continue its history as a name-matched step
+  const curSchema = await this._db.get(STORE_META, 'schema');
+  if (!curSchema){
+    await this._db.put(STORE_META, 'schema', schemaRecord(this.schema));
   } else {
-    this.schema.id = curSchema.id|0;
-    this.schema.fieldNames = curSchema.fields.slice();
-    this.schema.index = new Map(this.schema.fieldNames.map((n,i)=>[n,i]));
+    const stored=schemaFromRecord(curSchema);
+    const explicit=this._explicitFields, same=arraysEqual(stored.fieldNames, this.schema.fieldNames);
+    if (!explicit || (same && (explicit==='names' || JSON.stringify(stored.fields)===JSON.stringify(this.schema.fields)))){
+      this.schema=stored;
+    } else {
+      const id=stored.id+1;
+      this.schema=makeSchema(id, this.schema.fields, [...stored.history, { id, fields:this.schema.fields, steps:[] }]);
+      await this._db.put(STORE_META, 'schema', schemaRecord(this.schema));
+    }
   }
 
   const w=this.state.cellsX, h=this.state.cellsY;
   for (let z=0; z<this.effectiveCellsZ; z++){
     if (this._disposed) return;
     const key=`z:${z}`;
-    const m=await idbGet(this._db, STORE_META, key);
+    const m=await this._db.get(STORE_META, key);
     if (!m){
-      const n=this._nuclei[z] || pickNucleusByDirection(w,h,dir||{x:1,y:0});
-      await idbPut(this._db, STORE_META, key, {cx:n.x, cy:n.y, w, h, rule:'dir'});
+      const n=this._nuclei[z];
+      await this._db.put(STORE_META, key, {cx:n.x, cy:n.y, w, h, rule:this._nucleusRules[z]});
     } else {
       this._nuclei[z]={x:m.cx,y:m.cy};
+      this._nucleusRules[z]=normalizeNucleusRule(m.rule);
     }
   }
 
   await this._ensureZeroTemplate();
+
+  // state, logic and particles: localStorage leftovers move in, then the stored ones apply
+  await this._migrateLocalStorage();
+  if (this._disposed) return;
+  await this._loadPersisted();
 }
@@ -0,0 +1,114 @@
+// Memory-budgeted dense layer cache (this._layerCache).
+//
+//   new SDFGrid(uid, scene, { cacheBudget: 256*1024*1024 })   bytes of tile data; default Infinity
+//   grid.setCacheBudget(bytes)          evicts right away when the cache is over the new budget
+//   grid.pinLayer(z) / unpinLayer(z)    keep a layer resident (refcounted)
+//   grid.cacheStats()                   -> { hits, misses, evictions, flushes, bytes, budget, layers, pinned }
+//
+// When the loaded layers exceed the budget the least recently used ones are dropped: clean layers
+// first, then dirty ones after a flush. Code that holds layers across awaits loads them through a pin
+// scope (_withPinnedLayers): the layers a step writes (stepFields), or reads that must stay consistent
+// (visualisation refreshes, regionStats, isosurfaces, snapshot export). Each scope releases its own
+// pins when it ends, whatever other scopes are running. Grids without storage never evict (there is
+// nothing to reload from). Eviction runs on a timer after the load that crossed the budget, never
+// inside a caller's await chain.
+
+// Map z -> DenseLayer that remembers when each layer was last handed out.
+export class LayerCache extends Map {
+  constructor(){
+    super();
+    this.lastUse = new Map();
+    this._tick = 0;
+  }
+  get(z){
+    const v=super.get(z);
+    if (v!==undefined) this.lastUse.set(z, ++this._tick);
+    return v;
+  }
+  peek(z){ return super.get(z); } // no recency bump
+  set(z, layer){
+    this.lastUse.set(z, ++this._tick);
+    return super.set(z, layer);
+  }
+  delete(z){ this.lastUse.delete(z); return super.delete(z); }
+  clear(){ this.lastUse.clear(); super.clear(); }
+  get byteLength(){ let n=0; for (const l of this.values()) n+=l.byteLength; return n; }
+}
+
+export function _cacheStats(){
+  return (this._cacheCounters ??= { hits:0, misses:0, evictions:0, flushes:0 });
+}
+
+export function cacheStats(){
+  const c=this._cacheStats(), pinned=new Set([...(this._pins?.keys() || []), ...(this._scopePins?.keys() || [])]);
+  return { ...c, bytes:this._layerCache.byteLength, budget:this.cacheBudget, layers:this._layerCache.size, pinned:pinned.size };
+}
+
+export function setCacheBudget(bytes){
+  this.cacheBudget=bytes>0 ? +bytes : Infinity;
+  this._scheduleEviction();
+  return this.cacheBudget;
+}
+
+export function pinLayer(z){
+  this._pins ??= new Map();
+  this._pins.set(z|0, (this._pins.get(z|0) || 0)+1);
+}
+
+export function unpinLayer(z){
+  const n=(this._pins?.get(z|0) || 0)-1;
+  if (n>0) this._pins.set(z|0, n); else this._pins?.delete(z|0);
+  this._scheduleEviction();
+}
+
+// Runs fn(load) where load(z) pins layer z for the rest of the scope and resolves to it; the
+// scope's pins are released when fn settles (scopes nest and overlap, pins are refcounted).
+export async function _withPinnedLayers(fn){
+  const pins=(this._scopePins ??= new Map()), mine=new Set();
+  const load=z=>{
+    const key=z|0;
+    if (!mine.has(key)){ mine.add(key); pins.set(key, (pins.get(key) || 0)+1); }
+    return this._ensureDenseLayer(key);
+  };
+  try { return await fn(load); }
+  finally {
+    for (const z of mine){ const n=pins.get(z)-1; if (n>0) pins.set(z, n); else pins.delete(z); }
+    this._scheduleEviction();
+  }
+}
+
+export function _isLayerPinned(z){
+  return !!this._pins?.get(z) || !!this._scopePins?.get(z) || !!this._flushingLayers?.has(z);
+}
+
+export function _scheduleEviction(){
+  if (this._evictHandle || this._disposed || !this._db || !(this._layerCache.byteLength>this.cacheBudget)) return;
+  this._evictHandle=setTimeout(()=>{ this._evictHandle=null; this._evictLayers(); }, 0);
+}
+
+// Drops least recently used unpinned layers until the cache fits the budget.
+export async function _evictLayers(){
+  if (this._disposed || !this._db) return 0;
+  const C=this._layerCache, stats=this._cacheStats();
+  const isDirty=(z, l)=>this._dirtyLayers.has(z) || l.dirty.size>0;
+  const lru=()=>Array.from(C.keys()).filter(z=>!this._isLayerPinned(z)).sort((a,b)=>C.lastUse.get(a)-C.lastUse.get(b));
+  let bytes=C.byteLength, n=0;
+  const evict=z=>{
+    const l=C.peek(z);
+    if (!l || this._isLayerPinned(z) || isDirty(z, l)) return;
+    C.delete(z);
+    for (const k of this._statsCache?.keys() || []) if (k.endsWith(`|${z}`)) this._statsCache.delete(k);
+    bytes-=l.byteLength; n++; stats.evictions++;
+  };
+
+  for (const z of lru()){ if (bytes<=this.cacheBudget) break; evict(z); }
+  if (bytes>this.cacheBudget && lru().some(z=>isDirty(z, C.peek(z)))){
+    // dirty layers are written out before they are dropped
+    stats.flushes++;
+    await this._flushDirtyLayers();
+    if (this._disposed) return n;
+    bytes=C.byteLength;
+    for (const z of lru()){ if (bytes<=this.cacheBudget) break; evict(z); }
+  }
+  return n;
+}
@@ -0,0 +1,216 @@
+// Named checkpoints of the dense layers plus layout/schema/nuclei, and undo/redo for manual edits.
+//
+// 'checkpoints'      : manifest per checkpoint, key = name
+//   { name, parent, created, layout:{ w,h,layers }, schema:{ id, fields, descriptors, history }, nuclei:[{ z, cx,cy }],
+//     layers:{ [z]: { [tileIndex]: { ref, hash, codec } } }, own }
+// 'checkpoint_tiles' : tile bytes, stored losslessly under the entry's codec (absent: raw Float32), key = `${ref}:${z}:${tileIndex}`
+// A checkpoint only writes tiles that differ from its parent (the checkpoint created or
+// restored last, meta 'checkpoint_head'); unchanged tiles keep the parent's ref, so any
+// checkpoint restores from its own manifest without walking the chain.
+//
+// Undo/redo covers setDenseFromCell/addDenseFromCell; simulation steps are not journaled.
+// The journal is cleared by reshapes and checkpoint restores.
+import { STORE_META, STORE_TILES, STORE_LMETA, STORE_CKPT, STORE_CKPT_TILES } from './SDFGridConstants.js';
+import { arraysEqual } from './SDFGridUtil.js';
+import { DenseLayer, TILE_PIXELS, tileKey } from './SDFGridTiles.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
+import { schemaRecord, schemaFromRecord } from './SDFGridSchema.js';
+import { encodeTile, decodeTile, lossless, codecMeta } from './SDFGridCodec.js';
+
+const ckptTileKey = (ref, z, ti)=>`${ref}:${z|0}:${ti|0}`;
+
+function tileHash(t){
+  const u=new Uint32Array(t.buffer, t.byteOffset, t.length);
+  let h=0x811c9dc5;
+  for (let i=0;i<u.length;i++){ h^=u[i]; h=Math.imul(h, 0x01000193); }
+  return h>>>0;
+}
+
+function sameBytes(a, b){
+  if (a.byteLength!==b.byteLength) return false;
+  const x=new Uint32Array(a), y=new Uint32Array(b.buffer, b.byteOffset, b.length);
+  for (let i=0;i<x.length;i++) if (x[i]!==y[i]) return false;
+  return true;
+}
+
+function requireDB(grid){
+  if (!grid._db) throw new Error('Checkpoints need a storage backend');
+  return grid._db;
+}
+
+const summary = m=>({ name:m.name, parent:m.parent, created:m.created, tiles:Object.values(m.layers).reduce((n,L)=>n+Object.keys(L).length, 0), own:m.own });
+
+export async function createCheckpoint(name){
+  await this.ready;
+  const db=requireDB(this);
+  name=String(name ?? `cp-${Date.now().toString(36)}`);
+  if (await db.get(STORE_CKPT, name)) throw new Error(`Checkpoint '${name}' already exists`);
+
+  const head=await db.get(STORE_META, 'checkpoint_head');
+  const prev=head ? await db.get(STORE_CKPT, head) : null;
+  const reuse=prev && arraysEqual(prev.schema.fields, this.schema.fieldNames);
+  const layers={}, nuclei=[];
+  const codec=lossless(this.codec);
+  let own=0;
+  for (let z=0; z<this.effectiveCellsZ; z++){
+    const layer=await this._ensureDenseLayer(z);
+    const out={};
+    for (const [ti, t] of layer.tiles){
+      const hash=tileHash(t);
+      const p=reuse ? prev.layers[z]?.[ti] : null;
+      if (p && p.hash===hash){
+        const old=await decodeTile(await db.get(STORE_CKPT_TILES, ckptTileKey(p.ref, z, ti)), p.codec ?? null);
+        if (old && sameBytes(old.buffer, t)){ out[ti]=p; continue; }
+      }
+      await db.put(STORE_CKPT_TILES, ckptTileKey(name, z, ti), await encodeTile(t, layer.F, codec));
+      out[ti]={ ref:name, hash, codec:codecMeta(codec) };
+      own++;
+    }
+    layers[z]=out;
+    const n=this.getNucleus(z);
+    nuclei.push({ z, cx:n.x, cy:n.y });
+  }
+
+  const m={
+    name, parent:head || null, created:Date.now(),
+    layout:{ w:this.state.cellsX, h:this.state.cellsY, layers:this.effectiveCellsZ },
+    schema:schemaRecord(this.schema),
+    nuclei, layers, own
+  };
+  await db.put(STORE_CKPT, name, m);
+  await db.put(STORE_META, 'checkpoint_head', name);
+  return summary(m);
+}
+
+export async function listCheckpoints(){
+  await this.ready;
+  const db=requireDB(this);
+  const out=[];
+  for (const k of await db.keys(STORE_CKPT)){ const m=await db.get(STORE_CKPT, k); if (m) out.push(summary(m)); }
+  return out.sort((a,b)=>a.created-b.created);
+}
+
+// Replaces every dense layer, the schema and the nuclei with the checkpoint's; the layout must match.
+export async function restoreCheckpoint(name){
+  await this.ready;
+  const db=requireDB(this);
+  const m=await db.get(STORE_CKPT, name);
+  if (!m) throw new Error(`Unknown checkpoint '${name}'`);
+  if (m.layout.w!==this.state.cellsX || m.layout.h!==this.state.cellsY || m.layout.layers!==this.effectiveCellsZ)
+    throw new Error(`Checkpoint '${name}' was taken at ${m.layout.w}x${m.layout.h}x${m.layout.layers}; reshape the grid first`);
+
+  // abandon in-flight steps and layer loads that still see the old data
+  this._rev++;
+  this._layerLoads?.clear();
+
+  const prev=this.schema;
+  this.schema=schemaFromRecord(m.schema);
+  this.fieldForViz = this.fieldForViz && this.schema.index.has(this.fieldForViz) ? this.fieldForViz : this.schema.fieldNames[0];
+  await db.put(STORE_META, 'schema', schemaRecord(this.schema));
+  const F=this.schema.fieldNames.length;
+  const tmpl=new Float32Array(await this._ensureZeroTemplate());
+
+  // stored tiles the checkpoint lacks go once the new layer meta is written
+  const stale=[];
+  for (let z=0; z<this.effectiveCellsZ; z++){
+    const layer=new DenseLayer(F, tmpl);
+    for (const [ti, p] of Object.entries(m.layers[z] || {})){
+      const t=await decodeTile(await db.get(STORE_CKPT_TILES, ckptTileKey(p.ref, z, +ti)), p.codec ?? null);
+      if (t && t.length===TILE_PIXELS*F){ layer.tiles.set(+ti, t); layer.dirty.add(+ti); }
+    }
+    const lmeta=await db.get(STORE_LMETA, z);
+    for (const ti of lmeta?.tiles || []) if (!layer.tiles.has(ti)) stale.push(tileKey(z, ti));
+    this._layerCache.set(z, layer);
+    this._dirtyLayers.add(z);
+  }
+  for (const { z, cx, cy } of m.nuclei){
+    this._nuclei[z]={ x:cx, y:cy };
+    const meta=await db.get(STORE_META, `z:${z}`);
+    await db.put(STORE_META, `z:${z}`, { ...meta, cx, cy, w:m.layout.w, h:m.layout.h });
+  }
+  this._masks?.clear();
+  this._undo.length=0; this._redo.length=0;
+  await db.put(STORE_META, 'checkpoint_head', name);
+  await this._flushDirtyLayers();
+  for (const k of stale) await db.del(STORE_TILES, k);
+  if (prev.id!==this.schema.id || !arraysEqual(prev.fieldNames, this.schema.fieldNames))
+    this._emit(SDF_EVENTS.SCHEMA, { id:this.schema.id, fields:this.schema.fieldNames.slice(), previous:{ id:prev.id, fields:prev.fieldNames.slice() } });
+  this._emit(SDF_EVENTS.RESTORE, { checkpoint:name });
+  return summary(m);
+}
+
+// Tiles still referenced by other checkpoints move to the earliest of them before deletion.
+export async function deleteCheckpoint(name){
+  await this.ready;
+  const db=requireDB(this);
+  const m=await db.get(STORE_CKPT, name);
+  if (!m) return false;
+  const others=[];
+  for (const k of await db.keys(STORE_CKPT)) if (k!==name){ const o=await db.get(STORE_CKPT, k); if (o) others.push(o); }
+  others.sort((a,b)=>a.created-b.created);
+
+  const moved=new Map(); // `${z}:${ti}` -> new ref
+  for (const o of others){
+    for (const [z, tiles] of Object.entries(o.layers)){
+      for (const [ti, p] of Object.entries(tiles)){
+        if (p.ref!==name) continue;
+        const k=`${z}:${ti}`;
+        if (!moved.has(k)){
+          const buf=await db.get(STORE_CKPT_TILES, ckptTileKey(name, z, ti));
+          if (buf) await db.put(STORE_CKPT_TILES, ckptTileKey(o.name, z, ti), buf);
+          moved.set(k, o.name);
+          o.own++;
+        }
+        p.ref=moved.get(k);
+      }
+    }
+    if (o.parent===name) o.parent=m.parent;
+  }
+  for (const o of others) await db.put(STORE_CKPT, o.name, o);
+  for (const [z, tiles] of Object.entries(m.layers))
+    for (const [ti, p] of Object.entries(tiles)) if (p.ref===name) await db.del(STORE_CKPT_TILES, ckptTileKey(name, z, ti));
+  await db.del(STORE_CKPT, name);
+  if ((await db.get(STORE_META, 'checkpoint_head'))===name){
+    if (m.parent) await db.put(STORE_META, 'checkpoint_head', m.parent); else await db.del(STORE_META, 'checkpoint_head');
+  }
+  return true;
+}
+
+// ---- undo / redo ----
+
+// changes: [field, before, after] with pixel values (row-major) over the footprint rect fp
+export function _journal(z, x, y, fp, changes){
+  this._undo.push({ z, x, y, fp, changes });
+  if (this._undo.length>this.undoLimit) this._undo.shift();
+  this._redo.length=0;
+}
+
+async function replay(grid, entry, which){
+  const layer=await grid._ensureDenseLayer(entry.z);
+  for (const c of entry.changes){
+    const fi=grid.schema.index.get(c[0]);
+    if (fi!=null) grid._writeFootprint(layer, entry.fp, fi, c[which]);
+  }
+  grid._dirtyLayers.add(entry.z);
+  grid._scheduleFlush();
+  grid._queueCellChange(entry.z, entry.x, entry.y, entry.changes.map(c=>c[0]));
+}
+
+export async function undo(){
+  const e=this._undo.pop();
+  if (!e) return false;
+  this._redo.push(e);
+  await replay(this, e, 1);
+  return true;
+}
+
+export async function redo(){
+  const e=this._redo.pop();
+  if (!e) return false;
+  this._undo.push(e);
+  await replay(this, e, 2);
+  return true;
+}
+
+export function canUndo(){ return this._undo.length>0; }
+export function canRedo(){ return this._redo.length>0; }
@@ -0,0 +1,191 @@
+// On-disk encoding of dense tiles (overlay_tiles, checkpoint_tiles).
+//
+// Encoded record (little endian):
+//   'SDTC' | u8 version | u8 layout (0 dense, 1 zero-run) | u8 quant (0 f32, 1 f16, 2 i16)
+//   | u8 deflate (0/1) | u32 floats | u16 F | u16 0 | F × f32 scale (i16 only) | payload
+// payload (deflated when flagged): dense words, or u32 runs | runs × (u32 zeros, u32 values) | words.
+// i16 stores round(v / scale) per field with scale = max|v| / 32767; f16 is IEEE half precision
+// (finite values beyond ±65504 clamp to it).
+// Both quantisations are lossy and opt-in; the default (zero-run when sparse, deflate) is lossless.
+//
+// The grid's codec is params.codec = { layout:'auto'|'dense'|'sparse', quant:'f32'|'f16'|'i16',
+// compress:true } or 'raw' for plain Float32 buffers. Layer meta records the codec its tiles are
+// stored with ({ v, layout, quant, compress }; a flush under another codec rewrites every tile), as
+// checkpoint manifests do per tile. Records are decoded by that codec, absent meaning raw (older
+// layers, snapshot imports): a raw tile may happen to start with the 'SDTC' bytes.
+// Compression uses CompressionStream('deflate') where available, else node:zlib, else none.
+
+export const CODEC_VERSION = 1;
+export const DEFAULT_CODEC = Object.freeze({ layout:'auto', quant:'f32', compress:true });
+
+const MAGIC=[0x53,0x44,0x54,0x43]; // 'SDTC'
+const QUANT={ f32:0, f16:1, i16:2 };
+const QUANT_NAMES=['f32','f16','i16'];
+
+export function normalizeCodec(c){
+  if (c===false || c==='raw') return null;
+  const out={ ...DEFAULT_CODEC, ...(c && typeof c==='object' ? c : {}) };
+  if (!(out.quant in QUANT)) throw new Error(`codec: unknown quantisation '${out.quant}'`);
+  return out;
+}
+
+// Same codec without quantisation (templates and checkpoints must round-trip exactly).
+export function lossless(codec){ return codec ? { ...codec, quant:'f32' } : null; }
+
+export function codecMeta(codec){
+  return codec ? { v:CODEC_VERSION, layout:codec.layout, quant:codec.quant, compress:!!codec.compress } : null;
+}
+
+export function isEncoded(buf){
+  const u=buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+  return u.length>=16 && u[0]===MAGIC[0] && u[1]===MAGIC[1] && u[2]===MAGIC[2] && u[3]===MAGIC[3];
+}
+
+// ---- half floats ----
+
+const f32=new Float32Array(1), u32=new Uint32Array(f32.buffer);
+
+export function toHalf(v){
+  f32[0]=v;
+  const x=u32[0], sign=(x>>>16)&0x8000, e=((x>>>23)&0xff)-112, m=x&0x7fffff;
+  if (((x>>>23)&0xff)===0xff) return sign | (m ? 0x7e00 : 0x7c00); // inf / nan
+  if (e>=31) return sign | 0x7bff; // finite overflow: largest finite half
+  if (e<=0){
+    if (e<-10) return sign;
+    const mm=(m|0x800000)>>>(1-e);
+    return sign | ((mm+0x1000)>>>13);
+  }
+  return sign | Math.min(0x7bff, (e<<10) + ((m+0x1000)>>>13));
+}
+
+export function fromHalf(h){
+  const s=h&0x8000 ? -1 : 1, e=(h>>>10)&0x1f, m=h&0x3ff;
+  if (e===0) return s*m*2**-24;
+  if (e===31) return m ? NaN : s*Infinity;
+  return s*(1+m/1024)*2**(e-15);
+}
+
+// ---- deflate ----
+
+let zlib=null;
+async function nodeZlib(){
+  if (zlib===null){
+    try { zlib=await import('node:zlib'); } catch { zlib=false; }
+  }
+  return zlib;
+}
+
+async function streamThrough(bytes, Stream){
+  const s=new Blob([bytes]).stream().pipeThrough(new Stream('deflate'));
+  return new Uint8Array(await new Response(s).arrayBuffer());
+}
+
+async function deflate(bytes){
+  if (typeof CompressionStream!=='undefined') return streamThrough(bytes, CompressionStream);
+  const z=await nodeZlib();
+  return z ? new Uint8Array(z.deflateSync(bytes)) : null;
+}
+
+async function inflate(bytes){
+  if (typeof DecompressionStream!=='undefined') return streamThrough(bytes, DecompressionStream);
+  const z=await nodeZlib();
+  if (!z) throw new Error('codec: no inflate available for a compressed tile');
+  return new Uint8Array(z.inflateSync(bytes));
+}
+
+// ---- encode / decode ----
+
+function quantise(arr, F, quant){
+  const n=arr.length;
+  if (quant==='f16'){ const w=new Uint16Array(n); for (let i=0;i<n;i++) w[i]=toHalf(arr[i]); return { words:w, scales:null }; }
+  if (quant==='i16'){
+    const scales=new Float32Array(F);
+    for (let i=0;i<n;i++){ const a=Math.abs(arr[i]), fi=i%F; if (a>scales[fi]) scales[fi]=a; }
+    for (let fi=0; fi<F; fi++) scales[fi]=scales[fi]>0 && Number.isFinite(scales[fi]) ? scales[fi]/32767 : 1;
+    const w=new Int16Array(n);
+    for (let i=0;i<n;i++) w[i]=Math.max(-32767, Math.min(32767, Math.round(arr[i]/scales[i%F])));
+    return { words:w, scales };
+  }
+  return { words:arr instanceof Float32Array ? arr : Float32Array.from(arr), scales:null };
+}
+
+// Zero runs over the quantised words -> { runs:Uint32Array, values } (values same type as words)
+function zeroRuns(words){
+  const runs=[], vals=[];
+  let i=0; const n=words.length;
+  while (i<n){
+    let z=0; while (i<n && words[i]===0){ z++; i++; }
+    let k=0; const s=i; while (i<n && words[i]!==0){ k++; i++; }
+    runs.push(z, k);
+    for (let j=s; j<s+k; j++) vals.push(words[j]);
+  }
+  return { runs:Uint32Array.from(runs), values:new words.constructor(vals) };
+}
+
+export async function encodeTile(arr, F, codec){
+  if (!codec) return arr.slice().buffer;
+  const { words, scales }=quantise(arr, F, codec.quant);
+  let nz=0; for (let i=0;i<words.length;i++) if (words[i]!==0) nz++;
+  const sparse=codec.layout==='sparse' || (codec.layout==='auto' && nz<words.length/2);
+
+  let payload;
+  if (sparse){
+    const { runs, values }=zeroRuns(words);
+    payload=new Uint8Array(4+runs.byteLength+values.byteLength);
+    new DataView(payload.buffer).setUint32(0, runs.length/2, true);
+    payload.set(new Uint8Array(runs.buffer), 4);
+    payload.set(new Uint8Array(values.buffer, values.byteOffset, values.byteLength), 4+runs.byteLength);
+  } else {
+    payload=new Uint8Array(words.buffer, words.byteOffset, words.byteLength);
+  }
+  let deflated=false;
+  if (codec.compress){
+    const c=await deflate(payload);
+    if (c && c.length<payload.length){ payload=c; deflated=true; }
+  }
+
+  const head=16+(scales ? 4*F : 0);
+  const out=new Uint8Array(head+payload.length), dv=new DataView(out.buffer);
+  out.set(MAGIC, 0);
+  out[4]=CODEC_VERSION; out[5]=sparse ? 1 : 0; out[6]=QUANT[codec.quant]; out[7]=deflated ? 1 : 0;
+  dv.setUint32(8, arr.length, true);
+  dv.setUint16(12, F, true);
+  if (scales) for (let fi=0; fi<F; fi++) dv.setFloat32(16+4*fi, scales[fi], true);
+  out.set(payload, head);
+  return out.buffer;
+}
+
+// -> Float32Array. codec: the codec meta the record was written with, null for a raw Float32
+// buffer (passes through); omitted, the 'SDTC' header decides.
+export async function decodeTile(buf, codec){
+  if (!buf) return null;
+  const u=buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+  if (codec===undefined ? !isEncoded(u) : !codec) return new Float32Array(u.buffer.slice(u.byteOffset, u.byteOffset+u.byteLength));
+  if (!isEncoded(u)) throw new Error('codec: record is not an encoded tile');
+  const dv=new DataView(u.buffer, u.byteOffset, u.byteLength);
+  if (u[4]>CODEC_VERSION) throw new Error(`codec: tile version ${u[4]} is newer than ${CODEC_VERSION}`);
+  const sparse=u[5]===1, quant=QUANT_NAMES[u[6]], n=dv.getUint32(8, true), F=dv.getUint16(12, true);
+  if (!quant) throw new Error(`codec: unknown quantisation ${u[6]}`);
+  const scales=quant==='i16' ? Array.from({ length:F }, (_,fi)=>dv.getFloat32(16+4*fi, true)) : null;
+  const head=16+(scales ? 4*F : 0);
+  let p=u.slice(head);
+  if (u[7]) p=await inflate(p);
+
+  const W=quant==='f32' ? Float32Array : quant==='f16' ? Uint16Array : Int16Array;
+  let words;
+  if (sparse){
+    const pv=new DataView(p.buffer, p.byteOffset, p.byteLength), nr=pv.getUint32(0, true);
+    const runs=new Uint32Array(p.buffer.slice(p.byteOffset+4, p.byteOffset+4+nr*8));
+    const vals=new W(p.buffer.slice(p.byteOffset+4+nr*8, p.byteOffset+p.byteLength));
+    words=new W(n);
+    let i=0, k=0;
+    for (let r=0; r<nr; r++){ i+=runs[2*r]; for (let j=0; j<runs[2*r+1]; j++) words[i++]=vals[k++]; }
+  } else {
+    words=new W(p.buffer.slice(p.byteOffset, p.byteOffset+n*W.BYTES_PER_ELEMENT));
+  }
+  if (quant==='f32') return words;
+  const out=new Float32Array(n);
+  if (quant==='f16') for (let i=0;i<n;i++) out[i]=fromHalf(words[i]);
+  else for (let i=0;i<n;i++) out[i]=words[i]*scales[i%F];
+  return out;
+}
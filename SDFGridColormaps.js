@@ -0,0 +1,188 @@
+// Per-field colour styles for field visualisation: colormap, value range, scaling, value-driven
+// alpha, and a legend descriptor for UIs.
+//
+// this.fieldStyles[name] = {
+//   colormap : 'classic' | 'viridis' | 'magma' | 'diverging' | 'categorical' | custom name
+//   range    : { mode:'fixed', min, max }
+//            | { mode:'max' }                          0 (or the data minimum) .. current maximum
+//            | { mode:'percentile', low:2, high:98, ignoreZero:true }
+//            | { mode:'rolling', window:30 }           extremes over the last `window` refreshes
+//   scale    : 'linear' | 'log' | 'symmetric'           symmetric centres 0 (pair with 'diverging')
+//   alpha    : { mode:'constant', value } | { mode:'value', min, max }   opacity from the scaled value
+//   categories : ['label', ...]                         names for categorical values 0..n-1
+// }
+// Unstyled fields use DEFAULT_FIELD_STYLE (the classic ramp over 0 .. the drawn maximum). Auto ranges
+// come from the values being drawn; 'percentile' and 'rolling' keep one spike from washing out the colours.
+
+const hex = h=>[parseInt(h.slice(1,3),16)/255, parseInt(h.slice(3,5),16)/255, parseInt(h.slice(5,7),16)/255];
+const even = list=>list.map((h,i)=>[i/(list.length-1), ...hex(h)]);
+
+// stops: [t, r, g, b] with t ascending in 0..1; `discrete` maps are indexed by rounded value
+export const COLORMAPS = {
+  classic:   { stops:[[0,0.2,0.2,1],[0.5,0,1,0],[0.5,0.2,1,0],[1,0.8,0,0]] },
+  viridis:   { stops:even(['#440154','#472d7b','#3b528b','#2c728e','#21918c','#28ae80','#5ec962','#addc30','#fde725']) },
+  magma:     { stops:even(['#000004','#1c1044','#4f127b','#812581','#b5367a','#e55064','#fb8761','#fec287','#fcfdbf']) },
+  diverging: { stops:even(['#053061','#2166ac','#4393c3','#92c5de','#f7f7f7','#f4a582','#d6604d','#b2182b','#67001f']) },
+  categorical: { discrete:['#1f77b4','#ff7f0e','#2ca02c','#d62728','#9467bd','#8c564b','#e377c2','#7f7f7f','#bcbd22','#17becf'].map(hex) }
+};
+
+export function registerColormap(name, map){ COLORMAPS[name]=map; }
+
+export const DEFAULT_FIELD_STYLE = Object.freeze({
+  colormap:'classic', range:{ mode:'max' }, scale:'linear', alpha:{ mode:'constant', value:1 }
+});
+
+// -> [r,g,b] in 0..1; t is clamped (continuous maps) or rounded to a palette index (discrete).
+export function sampleColormap(name, t){
+  const m=COLORMAPS[name] || COLORMAPS.classic;
+  if (m.discrete){
+    const n=m.discrete.length, i=((Math.round(t)%n)+n)%n;
+    return m.discrete[Number.isFinite(i) ? i : 0].slice();
+  }
+  const s=m.stops;
+  if (!(t>s[0][0])) return s[0].slice(1);
+  if (t>=s[s.length-1][0]) return s[s.length-1].slice(1);
+  let i=0; while (s[i+1][0]<t) i++;
+  const a=s[i], b=s[i+1], u=b[0]>a[0] ? (t-a[0])/(b[0]-a[0]) : 1;
+  return [a[1]+(b[1]-a[1])*u, a[2]+(b[2]-a[2])*u, a[3]+(b[3]-a[3])*u];
+}
+
+// value -> 0..1 under a scale, and back
+function normalize(v, min, max, scale){
+  if (scale==='symmetric'){ const M=Math.max(Math.abs(min), Math.abs(max)) || 1; return 0.5+v/(2*M); }
+  if (scale==='log'){
+    const lo=Math.max(min, max*1e-6, 1e-12), hi=Math.max(max, lo*10);
+    return (Math.log10(Math.max(v, lo))-Math.log10(lo))/(Math.log10(hi)-Math.log10(lo));
+  }
+  return max>min ? (v-min)/(max-min) : 0;
+}
+
+function denormalize(t, min, max, scale){
+  if (scale==='symmetric'){ const M=Math.max(Math.abs(min), Math.abs(max)) || 1; return (t-0.5)*2*M; }
+  if (scale==='log'){
+    const lo=Math.max(min, max*1e-6, 1e-12), hi=Math.max(max, lo*10);
+    return 10**(Math.log10(lo)+t*(Math.log10(hi)-Math.log10(lo)));
+  }
+  return min+t*(max-min);
+}
+
+const fmt = v=>Math.abs(v)>=1e4 || (v!==0 && Math.abs(v)<1e-2) ? v.toExponential(1) : String(+v.toPrecision(3));
+const toHex = c=>'#'+c.map(x=>Math.round(Math.min(1, Math.max(0, x))*255).toString(16).padStart(2,'0')).join('');
+
+export function setFieldStyle(name, style){
+  this.fieldStyles ??= {};
+  const cur=this.fieldStyles[name] || {};
+  // a new range/alpha mode replaces the old options rather than merging with them
+  const merge=(a={}, b)=>b ? (b.mode && b.mode!==a.mode ? { ...b } : { ...a, ...b }) : a;
+  this.fieldStyles[name]={ ...cur, ...style, range:merge(cur.range, style.range), alpha:merge(cur.alpha, style.alpha) };
+  if (style.range) delete this._rangeState?.[name];
+  if (name===this.fieldForViz) this.renderer?.refresh();
+  return this.fieldStyleFor(name);
+}
+
+export function fieldStyleFor(name){
+  const s=this.fieldStyles?.[name] || {};
+  return {
+    ...DEFAULT_FIELD_STYLE, ...s,
+    range:s.range?.mode ? { ...s.range } : { ...DEFAULT_FIELD_STYLE.range, ...s.range },
+    alpha:{ ...DEFAULT_FIELD_STYLE.alpha, ...s.alpha }
+  };
+}
+
+// k-th smallest of a[l..r] by quickselect, partially reordering a (a[l..k-1] <= a[k] <= a[k+1..r]).
+function select(a, k, l, r){
+  while (r>l){
+    const pivot=a[(l+r)>>1];
+    let i=l, j=r;
+    while (i<=j){
+      while (a[i]<pivot) i++;
+      while (a[j]>pivot) j--;
+      if (i<=j){ const t=a[i]; a[i]=a[j]; a[j]=t; i++; j--; }
+    }
+    if (k<=j) r=j; else if (k>=i) l=i; else break;
+  }
+  return a[k];
+}
+
+// Resolves the display range of a field from the values about to be drawn (updates the rolling
+// state under `key`, so separate views of one field keep separate histories).
+export function fieldRange(name, values, key=name){
+  const st=this.fieldStyleFor(name), R=st.range;
+  if (R.mode==='fixed') return { min:+R.min||0, max:R.max!=null ? +R.max : 1 };
+
+  let lo=Infinity, hi=-Infinity;
+  if (R.mode==='percentile'){
+    const v=Float64Array.from(Array.from(values).filter(x=>Number.isFinite(x) && !(R.ignoreZero!==false && x===0)));
+    if (v.length){
+      const rank=p=>Math.min(v.length-1, Math.max(0, Math.round((p/100)*(v.length-1))));
+      const a=rank(R.low ?? 2), b=rank(R.high ?? 98);
+      lo=select(v, Math.min(a, b), 0, v.length-1); hi=select(v, Math.max(a, b), Math.min(a, b), v.length-1);
+      if (a>b) [lo, hi]=[hi, lo];
+    }
+  } else {
+    for (const x of values) if (Number.isFinite(x)){ if (x<lo) lo=x; if (x>hi) hi=x; }
+  }
+  if (!(hi>=lo)){ lo=0; hi=0; }
+  if (R.mode==='rolling'){
+    this._rangeState ??= {};
+    const h=(this._rangeState[key] ??= { history:[] }).history;
+    h.push([lo, hi]);
+    while (h.length>Math.max(1, R.window|0 || 30)) h.shift();
+    lo=Math.min(...h.map(e=>e[0])); hi=Math.max(...h.map(e=>e[1]));
+  }
+  const min=R.mode==='percentile' ? lo : Math.min(0, lo);
+  return { min, max:hi>min ? hi : min+1 };
+}
+
+// -> { r, g, b, a } for a value under the field's style and a range from fieldRange().
+export function colorForValue(name, v, range){
+  const st=this.fieldStyleFor(name);
+  const disc=!!COLORMAPS[st.colormap]?.discrete;
+  const t=Math.min(1, Math.max(0, normalize(v||0, range.min, range.max, st.scale)));
+  const [r,g,b]=sampleColormap(st.colormap, disc ? v : t);
+  const A=st.alpha;
+  const a=A.mode==='value' ? (A.min ?? 0)+((A.max ?? 1)-(A.min ?? 0))*t : (A.value ?? 1);
+  return { r, g, b, a };
+}
+
+// -> (v, out:Uint8Array, o) writing RGBA bytes; a 256-step lookup of colorForValue for bulk use.
+export function fieldColorizer(name, range){
+  const st=this.fieldStyleFor(name), disc=COLORMAPS[st.colormap]?.discrete, A=st.alpha;
+  const rgba=t=>{
+    const c=disc ? [0,0,0] : sampleColormap(st.colormap, t);
+    const a=A.mode==='value' ? (A.min ?? 0)+((A.max ?? 1)-(A.min ?? 0))*t : (A.value ?? 1);
+    return [c[0]*255, c[1]*255, c[2]*255, a*255];
+  };
+  if (disc){
+    const a=rgba(0)[3];
+    return (v, out, o)=>{ const c=sampleColormap(st.colormap, v); out[o]=c[0]*255; out[o+1]=c[1]*255; out[o+2]=c[2]*255; out[o+3]=a; };
+  }
+  const lut=new Uint8ClampedArray(256*4);
+  for (let i=0;i<256;i++) lut.set(rgba(i/255), i*4);
+  return (v, out, o)=>{
+    const t=normalize(v||0, range.min, range.max, st.scale);
+    const i=4*(t>0 ? (t<1 ? (t*255+0.5)|0 : 255) : 0);
+    out[o]=lut[i]; out[o+1]=lut[i+1]; out[o+2]=lut[i+2]; out[o+3]=lut[i+3];
+  };
+}
+
+// Legend for UIs: ticks (value, label, position t), gradient stops, or entries for categorical maps.
+export function fieldLegend(name, { ticks=5, range=null }={}){
+  const st=this.fieldStyleFor(name), m=COLORMAPS[st.colormap] || COLORMAPS.classic;
+  const R=range || (st.range.mode==='fixed' ? this.fieldRange(name, []) : this._lastRanges?.[name] || { min:0, max:1 });
+  const unit=this.schema?.fields?.[this.schema.index.get(name)]?.unit || '';
+  const base={ field:name, unit, colormap:st.colormap, scale:st.scale, min:R.min, max:R.max, alpha:st.alpha };
+  if (m.discrete){
+    const n=st.categories?.length || m.discrete.length;
+    return { ...base, categorical:true, entries:Array.from({ length:n }, (_,i)=>({ value:i, label:st.categories?.[i] ?? String(i), color:toHex(m.discrete[i%m.discrete.length]) })) };
+  }
+  const n=Math.max(2, ticks|0);
+  return {
+    ...base, categorical:false,
+    stops:m.stops.map(s=>({ t:s[0], color:toHex(s.slice(1)) })),
+    ticks:Array.from({ length:n }, (_,i)=>{
+      const t=i/(n-1), value=denormalize(t, R.min, R.max, st.scale);
+      return { t, value, label:fmt(value) };
+    })
+  };
+}
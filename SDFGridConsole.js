@@ -1,24 +1,23 @@
-import { DENSE_W, DENSE_H } from './SDFGridConstants.js';
+import { DENSE_W, DENSE_H, DENSE_TILE } from './SDFGridConstants.js';
 
 export async function layerInfo(uid, z){
   const m=this._instances?.get(uid); if(!m) return null;
-  const arr = await m._ensureDenseLayer(z);
+  const layer = await m._ensureDenseLayer(z);
   return {
     uid: m.uid, z,
-    denseW: DENSE_W, denseH: DENSE_H,
+    denseW: DENSE_W, denseH: DENSE_H, tile: DENSE_TILE,
     fields: m.schema.fieldNames.slice(),
-    bytes: arr.byteLength, floats: arr.length
+    tiles: layer.tileCount, dirtyTiles: layer.dirty.size,
+    bytes: layer.byteLength, floats: layer.byteLength/4
   };
 }
 
 export async function readCell(uid, z, x, y){
   const m=this._instances?.get(uid); if(!m) return null;
-  const arr = await m._ensureDenseLayer(z);
+  const layer = await m._ensureDenseLayer(z);
   const F = m.schema.fieldNames.length;
-  const { bx, by } = m._mapCellToDense(z, x, y);
-  const base = ((by*DENSE_W)+bx)*F;
   const out = {};
-  for (let i=0;i<F;i++) out[m.schema.fieldNames[i]] = arr[base+i] || 0;
+  for (let i=0;i<F;i++) out[m.schema.fieldNames[i]] = m._sampleCellSync(layer, z, x, y, i);
   return out;
 }
 
@@ -2,11 +2,20 @@
 export const DENSE_W = 1024;
 export const DENSE_H = 1024;
 
+// Dense overlay tiling: DENSE_TILE×DENSE_TILE pixels per tile, row-major tile index.
+export const DENSE_TILE = 128;
+export const TILES_X = DENSE_W / DENSE_TILE;
+export const TILES_Y = DENSE_H / DENSE_TILE;
+
 export const IDB_NAME    = 'SDFFieldDB';
-export const IDB_VERSION = 7;
+export const IDB_VERSION = 10;
 
 export const STORE_META  = 'meta';
 export const STORE_BASE  = 'base';        // Int16 SDF per-layer (kept)
-export const STORE_BASEZ = 'base_zero';   // Float32 zero template per schemaId
-export const STORE_LAYER = 'overlay_layers';
+export const STORE_BASEZ = 'base_zero';   // Float32 zero tile template per schemaId
+export const STORE_LAYER = 'overlay_layers';      // legacy whole-layer Float32 (read + migrated)
 export const STORE_LMETA = 'overlay_layers_meta';
+export const STORE_TILES = 'overlay_tiles';       // Float32 tile, key = `${z}:${tileIndex}`
+export const STORE_CKPT  = 'checkpoints';            // checkpoint manifest, key = name
+export const STORE_CKPT_TILES = 'checkpoint_tiles';  // Float32 tile, key = `${checkpoint}:${z}:${tileIndex}`
+export const STORE_SPARSE = 'sparse_cells';         // particles + sparse cell data per layer, key = z
@@ -1,67 +1,140 @@
 // SDFGrid.js — dense 1024×1024 per-layer Float32 overlay with zero-template base,
-// nucleus-centered alignment, SVG SDF, and Storage Buckets persistence.
+// nucleus-centered alignment, SVG / primitive / CSG SDFs (SDFGridPrimitives.js), and pluggable persistence (Storage Buckets,
+// plain IndexedDB, in-memory or a Node filesystem directory; see SDFGridStorage.js).
 //
-// Dense overlay: one Float32Array per layer, length = 1024 * 1024 * F (F = #fields).
-// First creation of a layer clones a zero template from the base store (base_zero)
-// and applies any existing sparse cell data center-aligned; zeros remain as padding.
+// Dense overlay: per layer a DenseLayer of 128×128-pixel Float32 tiles (F interleaved fields),
+// see SDFGridTiles.js. Tiles are created on first write by cloning the zero tile template
+// (base_zero); untouched tiles read as implicit zeros. Only dirty tiles are flushed.
 //
-// IDB inside a Storage Bucket named after UID (lowercased, sanitized):
-//   DB: 'SDFFieldDB'  (version 7)
+// Storage adapter (this._db) keyed by the UID (lowercased, sanitized), chosen via params.storage:
+//   'auto' (Storage Bucket -> indexedDB 'SDFFieldDB:<name>' -> memory) | 'buckets' | 'indexeddb'
+//   | 'memory' | 'fs' (Node only, with params.storage.dir) | 'none'. If opening or reading it fails,
+//   ready still resolves: the grid runs without storage (this.storageError, 'storageerror' event).
+//   DB: 'SDFFieldDB'  (version 10)
 //   Stores:
 //     'meta'                : layout, global schema, per-layer nuclei
 //       - 'layout'          : { w,h,layers, denseW,denseH, shapeType, gw,gh,gd }
-//       - 'schema'          : { id, fields: string[] }
-//       - `z:${z}`          : { cx, cy, w, h, rule }
-//     'base'                : per-layer Int16 SDF (key = z)    [kept for SDF usage]
-//     'base_zero'           : Float32 zero template buffers     [NEW]
-//         key = `sid:${schemaId}`  -> ArrayBuffer(1024*1024*F*4)
-//     'overlay_layers'      : per-layer Float32 dense, key = z
-//     'overlay_layers_meta' : per-layer schema version { sid, fields }, key = z
+//       - 'base_sig'        : shape/layout signature the 'base' SDFs were built for
+//       - 'schema'          : { id, fields: string[], descriptors, history } (SDFGridSchema.js)
+//       - `z:${z}`          : { cx, cy, w, h, rule }  rule: { type:'dir'|'centroid'|'peak'|'pinned'|'previous', ... }
+//       - 'checkpoint_head' : checkpoint the next one is diffed against
+//       - 'state' / 'logic' : toStateJSON() / logic settings (SDFGridPersistence.js)
+//       - 'ls_migrated'     : { at, moved } once the localStorage payloads were moved in
+//     'base'                : per-layer Int16 SDF (key = z), cleared when base_sig changes
+//     'base_zero'           : template tiles (field defaults, usually zeros), raw Float32
+//         key = `sid:${schemaId}`  -> ArrayBuffer(128*128*F*4)
+//     'overlay_tiles'       : tile encoded per params.codec (SDFGridCodec.js; raw Float32 still loads), key = `${z}:${tileIndex}`
+//     'overlay_layers'      : legacy per-layer Float32 dense, key = z (split into tiles on load)
+//     'overlay_layers_meta' : per-layer { sid, fields, tile, tiles:number[], migrations:[{ from,to,at }], codec }, key = z
+//     'checkpoints'         : checkpoint manifests, key = name (SDFGridCheckpoints.js)
+//     'checkpoint_tiles'    : losslessly encoded tiles owned by a checkpoint, key = `${name}:${z}:${tileIndex}`
+//     'sparse_cells'        : particles and sparse cell data of one layer, key = z, written per changed layer
+//
+// Rendering is optional: the grid runs headless (no scene, or params.headless) and a renderer
+// adapter such as InstancedGridRenderer (SDFGridRenderer.js) attaches to it via attachRenderer().
+// Headless grids draw nothing but still use THREE's math types (position, SDF sampling, particles).
+// gridGroup / instancedMesh / _valueToColor remain as deprecated forwards to the renderer.
+// Per-field colormaps, ranges and legends: setFieldStyle / fieldLegend (SDFGridColormaps.js).
+// Full-resolution dense layer slices as textured planes: createSliceView (SDFGridSlices.js).
+// Field statistics and region sums/means: fieldStats / regionStats (SDFGridStats.js).
+// Nucleus per layer from a rule (direction, interior centroid, inscribed-circle peak, pinned, previous
+// layer): params.nucleusRule / setNucleusRule (SDFGridNucleus.js).
+// updateGrid resamples dense fields and sparse values into the new layout (nearest, bilinear,
+// trilinear or conservative) and reports what the new shape clipped (SDFGridResample.js).
+// params.footprint lets cells cover a block of dense pixels (default: one pixel): writes splat
+// (uniform / Gaussian), reads reduce (mean / sum / max), and worldToDense / sampleDenseAt /
+// setDenseAt address single pixels (SDFGridFootprint.js).
+// Loaded layers live in an LRU cache bounded by params.cacheBudget: cacheStats / pinLayer (SDFGridCache.js).
+//
+// Snapshots: SDFGrid.exportSnapshot(uid) / SDFGrid.importSnapshot(blob,{uid}) move a whole grid as one
+// versioned binary file (SDFGridSnapshot.js).
+// Deterministic fixed-step mode with a seeded logic RNG, and record/replay of runs with per-layer
+// checksums: setDeterministic / startRecording / SDFGrid.replayRecording (SDFGridReplay.js).
+//
+// Events: SDFGrid is an EventTarget emitting 'cellschange', 'schemachange', 'layerflush', 'reshape',
+// 'logicerror' and 'dispose' (payloads in SDFGridEvents.js).
 //
 // Console helpers exposed: SDF_layerInfo(uid,z), SDF_readCell(uid,z,x,y), SDF_centerCell(uid,z)
 //
-// Dependencies: THREE, utils.js (safeNum, clamp, lsSet, lsGet, updateRegistrySaved, logicKey, stateKey, blobsKey)
+// Dependencies: THREE, utils.js (safeNum, clamp, lsSet, lsGet, updateRegistrySaved, logicKey, stateKey, blobsKey;
+//               localStorage only without a database, see SDFGridPersistence.js)
 //               svgParser.js (SVGPathParser.parseSVGPaths), logicPresets.js (presetCode)
 
 import { safeNum } from './utils.js';
 import { presetCode } from './logicPresets.js';
 import { normalizeUID, normalizeBucketName } from './SDFGridUtil.js';
-import { pickNucleusByDirection } from './SDFGridNucleus.js';
-import { saveState, saveLogic, saveBlobs, loadState, loadLogic, loadBlobs, applyBlobs } from './SDFGridPersistence.js';
+import { normalizeStorageOptions } from './SDFGridStorage.js';
+import { normalizeCodec } from './SDFGridCodec.js';
+import { nucleusRulesFor, _computeNuclei, _persistNuclei, nucleusRule, setNucleusRule } from './SDFGridNucleus.js';
+import {
+  saveState, saveLogic, saveBlobs, _logicJSON, _blobsJSON, _markSparse, _flushSparse, _migrateLocalStorage, _loadPersisted,
+  loadState, loadLogic, loadBlobs, loadStoredState, applyBlobs
+} from './SDFGridPersistence.js';
+import { exportSnapshot, importSnapshot } from './SDFGridSnapshot.js';
 import { compileLogic } from './SDFGridLogic.js';
-import { createInterpolatedShapes, sdf, sdfGrad } from './SDFGridShape.js';
+import { createInterpolatedShapes, sdf, sdfExact, sdfGrad, setShapeTree } from './SDFGridShape.js';
+import { setSdfAccel, _ensureSdfField, _sampleSdfField, _sampleSdfFieldGrad, _analyticSdfGrad } from './SDFGridAccel.js';
+import { validateShape } from './SDFGridPrimitives.js';
 import {
-  _ensureZeroTemplate, _ensureBaseSDF, getBaseDistance, _denseIdx, _ensureDenseLayer,
-  _mapCellToDense, _applySparseIntoDense, setDenseFromCell, addDenseFromCell,
-  sampleDenseForCell, _flushDirtyLayers
+  _ensureZeroTemplate, _ensureBaseSDF, _shapeSignature, _syncBaseSDF, getBaseDistance, _denseIdx, _ensureDenseLayer,
+  _loadDenseLayer, _mapCellToDense, _denseToCell, _applySparseIntoDense, setDenseFromCell, addDenseFromCell,
+  _writeDenseCell, _writeDenseRect, sampleDenseForCell, _sampleCellSync, _flushDirtyLayers, _scheduleFlush
 } from './SDFGridLayers.js';
-import { updateParticles } from './SDFGridParticles.js';
-import { visualizeGrid, _valueToColor, updateVisualization } from './SDFGridVisualization.js';
-import { evolveSchema } from './SDFGridSchema.js';
+import {
+  normalizeFootprint, setFootprint, _cellFootprint, _splatWeights, _reduceFootprint, _readFootprint, _writeFootprint,
+  worldToDense, denseToWorld, sampleDenseAt, setDenseAt, addDenseAt, _pixelDepositScale
+} from './SDFGridFootprint.js';
+import {
+  createCheckpoint, listCheckpoints, restoreCheckpoint, deleteCheckpoint, _journal, undo, redo, canUndo, canRedo
+} from './SDFGridCheckpoints.js';
+import { updateParticles, _logicFieldSnapshot, _applyLogicDeposits } from './SDFGridParticles.js';
+import { fieldTransportFor, setFieldTransport, stepFields } from './SDFGridTransport.js';
+import { InstancedGridRenderer, attachRenderer, detachRenderer, visualizeGrid, updateVisualization, _valueToColor, setVisible } from './SDFGridRenderer.js';
+import { evolveSchema, makeSchema, normalizeField, _coerceField, _fieldTemplate } from './SDFGridSchema.js';
 import { _initBuckets } from './SDFGridBuckets.js';
 import {
   getNucleus, centerCellIndex, toStateJSON, initializeGrid, updateGrid, updatePosition,
-  zLayerIndexFromWorldZ, getCellData, setCellData, updateDispersion, setVisible, dispose
+  zLayerIndexFromWorldZ, _cellOfPoint, getCellData, setCellData, updateDispersion, dispose, _interiorMask
 } from './SDFGridState.js';
 import { layerInfo, readCell, centerCell } from './SDFGridConsole.js';
+import { SDF_EVENTS, _emit, _queueCellChange, _flushCellEvents } from './SDFGridEvents.js';
+import {
+  DEFAULT_INTERACTION, setInteraction, _buildNeighborIndex, queryRadius, queryCell, _interactionForces, _interactionActive
+} from './SDFGridNeighbors.js';
+import { extractIsosurface } from './SDFGridIsosurface.js';
+import { setFieldStyle, fieldStyleFor, fieldRange, colorForValue, fieldColorizer, fieldLegend } from './SDFGridColormaps.js';
+import { createSliceView } from './SDFGridSlices.js';
+import { _statsLayout, regionStats, fieldStats, refreshFieldMax } from './SDFGridStats.js';
+import {
+  LayerCache, _cacheStats, cacheStats, setCacheBudget, pinLayer, unpinLayer, _withPinnedLayers,
+  _isLayerPinned, _scheduleEviction, _evictLayers
+} from './SDFGridCache.js';
+import { _captureCells, _resampleInto } from './SDFGridResample.js';
+import {
+  setDeterministic, advance, _deterministicStep, layerChecksums, startRecording, stopRecording, replayRecording
+} from './SDFGridReplay.js';
 
-export class SDFGrid{
+export class SDFGrid extends EventTarget{
   constructor(uid, scene, params){
+    super();
     this.uid   = normalizeUID(uid);
-    this.scene = scene;
+    this.scene = scene || null;
+    params = params || {};
 
     const pos = params?.position || {x:0,y:0,z:0};
     this.state = {
       gridWidth: params.gridWidth, gridHeight: params.gridHeight, gridDepth: params.gridDepth,
       cellsX: params.cellsX, cellsY: params.cellsY, cellsZ: params.cellsZ,
-      fidelity: params.fidelity, shapeType: params.shapeType, customSVGPath: params.customSVGPath
+      fidelity: params.fidelity, shapeType: params.shapeType, customSVGPath: params.customSVGPath,
+      shapeTree: params.shapeTree ? validateShape(params.shapeTree) : null
     };
     this.position = new THREE.Vector3(safeNum(pos.x,0), safeNum(pos.y,0), safeNum(pos.z,0));
+    this.sdfAccel = { enabled:false, resolution:2, ...(params.sdfAccel || {}) };
+    this._sdfField = null;
     this.effectiveCellsZ = this.state.cellsZ * this.state.fidelity;
 
-    // scene actors
-    this.gridGroup = null;
-    this.instancedMesh = null;
+    // optional renderer adapter (SDFGridRenderer.js); null when headless
+    this.renderer = null;
 
     // legacy sparse backing
     this.blobArray = [];
@@ -75,29 +148,51 @@ export class SDFGrid{
     // nuclei per layer (logical grid coords)
     this._nuclei = new Array(this.effectiveCellsZ);
 
-    // buckets
+    // storage
     this.bucketNameLC = normalizeBucketName(this.uid);
+    this.storageOptions = normalizeStorageOptions(params?.storage);
+    this.codec = normalizeCodec(params.codec); // tile encoding on disk (SDFGridCodec.js); null = raw Float32
     this._bucket = null;
     this._db     = null;
 
     // overlay schema
-    const initialFields = Array.isArray(params.fieldNames)&&params.fieldNames.length ? params.fieldNames.slice() : this.envVariables.slice();
-    this.schema = { id: 1, fieldNames: initialFields, index: new Map(initialFields.map((n,i)=>[n,i])) };
+    // params.fields: typed descriptors (SDFGridSchema.js); params.fieldNames: plain Float32 fields
+    const initialFields = Array.isArray(params.fields)&&params.fields.length ? params.fields.map(f=>normalizeField(f).name)
+      : Array.isArray(params.fieldNames)&&params.fieldNames.length ? params.fieldNames.slice() : this.envVariables.slice();
+    this.schema = makeSchema(1, Array.isArray(params.fields)&&params.fields.length ? params.fields : initialFields);
+    this._explicitFields = params.fields?.length ? 'fields' : params.fieldNames?.length ? 'names' : null; // vs the stored schema
     this.fieldForViz = params.fieldForViz || (initialFields.includes('O2') ? 'O2' : initialFields[0]);
 
     // caches and batching
-    this._layerCache = new Map(); // z -> Float32Array (dense)
+    this._layerCache = new LayerCache(); // z -> DenseLayer (tiled dense), LRU within cacheBudget (SDFGridCache.js)
+    this.cacheBudget = params.cacheBudget>0 ? +params.cacheBudget : Infinity; // bytes
     this._dirtyLayers = new Set();
     this._flushHandle = null;
 
-    // stats
+    // undo/redo journal for manual dense edits
+    this._undo = [];
+    this._redo = [];
+    this.undoLimit = params.undoLimit || 100;
+
+    // events (SDFGridEvents.js)
+    this.eventOptions = { coalesceMs:16, ...(params.eventOptions || {}) };
+    this._pendingCells = new Map();
+    this._cellsHandle = null;
+
+    // stats: running maxima (upper bounds; fieldStats/refreshFieldMax correct them, SDFGridStats.js)
     this._maxField = Object.create(null);
     this._maxO2 = 1;
 
     this._lastBlobSave = 0;
     this._lastDispersionUpdate = 0;
+    this.determinism = null; // fixed-step seeded mode (SDFGridReplay.js)
+    if (params.deterministic) this.setDeterministic(params.deterministic);
     this.trailStrength = params.trailStrength || 1.0;
+    this.footprint     = normalizeFootprint(params.footprint); // cell <-> dense pixel block (SDFGridFootprint.js)
     this.decayRate     = params.decayRate     || 0.1;
+    this.fieldTransport   = { ...(params.fieldTransport || {}) }; // name -> { diffusion, decay }
+    this.fieldStyles      = { ...(params.fieldStyles || {}) };    // name -> colormap/range/scale/alpha (SDFGridColormaps.js)
+    this.transportOptions = { maxSubsteps:8, epsilon:1e-6, ...(params.transportOptions || {}) };
 
     this._disposed = false;
     this._rev = 0;
@@ -105,24 +200,38 @@ export class SDFGrid{
     // logic
     const L = SDFGrid.loadLogic(this.uid);
     this.logic = L || { enabled:false, preset:'Attract', forceScale:1.0, code: presetCode('Attract'), compiled:null, compileError:null };
+    this.logic.budgetMs ??= 8;   // per-frame time budget for the sandboxed script
+    this.logic.errors = [];      // last frame's per-particle errors { i, particle, message, line, column }
+    this.logic.interaction = { ...DEFAULT_INTERACTION, ...this.logic.interaction }; // particle–particle forces
     this.compileLogic(this.logic.code);
 
-    // nuclei seed in logical space
-    {
-      const w=this.state.cellsX, h=this.state.cellsY, dir=params?.propagationDir||{x:1,y:0};
-      const pick=()=>pickNucleusByDirection(w,h,dir);
-      for (let z=0; z<this.effectiveCellsZ; z++) this._nuclei[z]=pick();
-    }
+    // nuclei in logical space, one rule per layer (SDFGridNucleus.js); stored layers keep theirs
+    this.propagationDir = { x:1, y:0, ...params.propagationDir };
+    this._nucleusRules = nucleusRulesFor(params.nucleusRule, this.effectiveCellsZ);
 
     // init
     this.initializeGrid();
+    this._computeNuclei();
     this.applyBlobs(SDFGrid.loadBlobs(this.uid));
 
-    if (this.bucketNameLC && navigator.storageBuckets){
-      this._initBuckets(params?.propagationDir).then(()=>{ if(!this._disposed) this.visualizeGrid(); });
-    } else {
-      this.visualizeGrid();
-    }
+    // cells set before the stored records apply keep their values and are saved once the
+    // database is open (SDFGridPersistence.js)
+    const useDb = !!this.bucketNameLC && this.storageOptions.backend!=='none';
+    this._preReadyEdits = new Set();
+    this._dbPending = useDb;
+    this.ready = (useDb ? this._initBuckets() : Promise.resolve()).catch(async e=>{
+      console.error('SDFGrid storage failed', e);
+      this.storageError = e;
+      const db = this._db;
+      this._db = null;
+      try { await db?.close(); } catch {}
+      this._emit(SDF_EVENTS.STORAGE_ERROR, { message:String(e?.message ?? e), error:e });
+    }).finally(()=>{
+      this._preReadyEdits = null;
+      this._dbPending = false;
+      if (useDb && !this._db && this._dirtySparse?.size) this.saveBlobs();
+    });
+    if (this.scene && !params.headless) this.attachRenderer(new InstancedGridRenderer(this.scene));
 
     // expose console helpers
     SDFGrid._instances ??= new Map();
@@ -133,44 +242,143 @@ export class SDFGrid{
       window.SDF_centerCell = SDFGrid.centerCell.bind(SDFGrid);
     }
   }
+
+  // deprecated: the scene objects belong to the renderer (null when headless)
+  get gridGroup(){ return this.renderer?.group ?? null; }
+  get instancedMesh(){ return this.renderer?.instancedMesh ?? null; }
 }
 
 Object.assign(SDFGrid.prototype, {
   saveState,
   saveLogic,
   saveBlobs,
+  _logicJSON,
+  _blobsJSON,
+  _markSparse,
+  _flushSparse,
+  _migrateLocalStorage,
+  _loadPersisted,
   applyBlobs,
   createInterpolatedShapes,
   sdf,
+  sdfExact,
   sdfGrad,
+  setSdfAccel,
+  _ensureSdfField,
+  _sampleSdfField,
+  _sampleSdfFieldGrad,
+  _analyticSdfGrad,
+  setShapeTree,
   compileLogic,
   _ensureZeroTemplate,
   _ensureBaseSDF,
+  _shapeSignature,
+  _syncBaseSDF,
   getBaseDistance,
   _denseIdx,
   _ensureDenseLayer,
+  _loadDenseLayer,
   _mapCellToDense,
+  _denseToCell,
   _applySparseIntoDense,
   setDenseFromCell,
   addDenseFromCell,
+  _writeDenseCell,
+  _writeDenseRect,
   sampleDenseForCell,
+  _sampleCellSync,
   _flushDirtyLayers,
+  _scheduleFlush,
+  setFootprint,
+  _cellFootprint,
+  _splatWeights,
+  _reduceFootprint,
+  _readFootprint,
+  _writeFootprint,
+  worldToDense,
+  denseToWorld,
+  sampleDenseAt,
+  setDenseAt,
+  addDenseAt,
+  _pixelDepositScale,
+  createCheckpoint,
+  listCheckpoints,
+  restoreCheckpoint,
+  deleteCheckpoint,
+  _journal,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  _emit,
+  _queueCellChange,
+  _flushCellEvents,
   updateParticles,
+  _logicFieldSnapshot,
+  _applyLogicDeposits,
+  setInteraction,
+  _buildNeighborIndex,
+  queryRadius,
+  queryCell,
+  _interactionForces,
+  _interactionActive,
+  fieldTransportFor,
+  setFieldTransport,
+  stepFields,
+  attachRenderer,
+  detachRenderer,
+  extractIsosurface,
+  setFieldStyle,
+  fieldStyleFor,
+  fieldRange,
+  colorForValue,
+  fieldColorizer,
+  fieldLegend,
+  createSliceView,
+  _statsLayout,
+  regionStats,
+  fieldStats,
+  refreshFieldMax,
+  _cacheStats,
+  cacheStats,
+  setCacheBudget,
+  pinLayer,
+  unpinLayer,
+  _withPinnedLayers,
+  _isLayerPinned,
+  _scheduleEviction,
+  _evictLayers,
+  setDeterministic,
+  advance,
+  _deterministicStep,
+  layerChecksums,
+  startRecording,
+  stopRecording,
   visualizeGrid,
   _valueToColor,
   updateVisualization,
   evolveSchema,
+  _coerceField,
+  _fieldTemplate,
   _initBuckets,
+  _computeNuclei,
+  _persistNuclei,
+  nucleusRule,
+  setNucleusRule,
   getNucleus,
   centerCellIndex,
   toStateJSON,
   initializeGrid,
   updateGrid,
+  _captureCells,
+  _resampleInto,
   updatePosition,
   zLayerIndexFromWorldZ,
+  _cellOfPoint,
   getCellData,
   setCellData,
   updateDispersion,
+  _interiorMask,
   setVisible,
   dispose
 });
@@ -179,7 +387,11 @@ Object.assign(SDFGrid, {
   loadState,
   loadLogic,
   loadBlobs,
+  loadStoredState,
   layerInfo,
   readCell,
-  centerCell
+  centerCell,
+  exportSnapshot,
+  importSnapshot,
+  replayRecording
 });
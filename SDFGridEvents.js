@@ -0,0 +1,46 @@
+// Events emitted by SDFGrid (an EventTarget); listeners receive a CustomEvent with `detail`:
+//   'cellschange'  : { layer, cells:[[x,y]...], fields, rect:{ x0,y0,x1,y1 } }  one per layer,
+//                    coalesced over this.eventOptions.coalesceMs (default 16)
+//   'schemachange' : { id, fields, previous:{ id, fields } }
+//   'layerflush'   : { layer, tiles, fields }
+//   'reshape'      : { layout:{ w,h,layers }, previous:{ w,h,layers }, fields, resample }  (report, SDFGridResample.js)
+//   'logicerror'   : { message, line, column }
+//   'step'         : { dt, particles, step? }   after each updateParticles (step index when deterministic)
+//   'move'         : { position:{ x,y,z } }     updatePosition
+//   'restore'      : { checkpoint }             restoreCheckpoint replaced the layers
+//   'nucleuschange': { layers, nuclei:[{ x,y,z }] }  setNucleusRule moved layer nuclei
+//   'storageerror' : { message, error }       opening or reading storage failed; the grid runs without it
+//   'dispose'      : { uid }
+// Cell changes come from setDenseFromCell, addDenseFromCell, setCellData and undo/redo, and from
+// simulation steps: particle trails, logic deposits, sparse O2 decay and field transport (every
+// cell of each tile transport rewrote).
+export const SDF_EVENTS = Object.freeze({
+  CELLS:'cellschange', SCHEMA:'schemachange', FLUSH:'layerflush', RESHAPE:'reshape', LOGIC_ERROR:'logicerror',
+  STEP:'step', MOVE:'move', RESTORE:'restore', NUCLEUS:'nucleuschange', STORAGE_ERROR:'storageerror', DISPOSE:'dispose'
+});
+
+export function _emit(type, detail){
+  if (this._disposed && type!==SDF_EVENTS.DISPOSE) return;
+  this.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+export function _queueCellChange(z, x, y, fields){
+  this._pendingCells ??= new Map();
+  let p=this._pendingCells.get(z);
+  if (!p){ p={ cells:new Map(), fields:new Set(), rect:{ x0:x, y0:y, x1:x, y1:y } }; this._pendingCells.set(z, p); }
+  p.cells.set(`${x},${y}`, [x,y]);
+  for (const f of fields) p.fields.add(f);
+  const r=p.rect;
+  if (x<r.x0) r.x0=x; if (y<r.y0) r.y0=y; if (x>r.x1) r.x1=x; if (y>r.y1) r.y1=y;
+  this._cellsHandle ??= setTimeout(()=>this._flushCellEvents(), this.eventOptions?.coalesceMs ?? 16);
+}
+
+export function _flushCellEvents(){
+  if (this._cellsHandle){ clearTimeout(this._cellsHandle); this._cellsHandle=null; }
+  const pending=this._pendingCells;
+  if (!pending?.size) return;
+  this._pendingCells=new Map();
+  for (const [layer, p] of pending){
+    this._emit(SDF_EVENTS.CELLS, { layer, cells:Array.from(p.cells.values()), fields:Array.from(p.fields), rect:p.rect });
+  }
+}
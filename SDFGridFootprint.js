@@ -0,0 +1,168 @@
+// Cell footprints: the block of dense pixels a logical cell covers, about DENSE_W/cellsX × DENSE_H/cellsY
+// around the pixel _mapCellToDense picks (the pixels _denseToCell maps back to the cell).
+//
+// this.footprint = { splat:'point'|'uniform'|'gaussian', reduce:'mean'|'sum'|'max', sigma:0.25 }
+// (params.footprint / setFootprint, default 'point'):
+//   writes (setDenseFromCell, addDenseFromCell, logic deposits) splat the value over the footprint,
+//   evenly or as a Gaussian of `sigma` cell widths, scaled so that reading the cell back gives it;
+//   reads (sampleDenseForCell, readCell, renderers, stats) reduce the footprint to one value;
+//   'point' keeps the single-pixel mapping, which is where grids stored before footprints hold
+//   their data; switch an existing grid to a block footprint only for data written afterwards.
+// Cells whose footprint falls off the overlay (nuclei far from the grid centre) read their default
+// and drop writes.
+//
+// Sub-cell access in world coordinates, one dense pixel at a time:
+//   grid.worldToDense(point)                 -> { z, bx, by, cell:[x,y,z] } | null outside the grid
+//   grid.denseToWorld(z, bx, by)             -> THREE.Vector3 pixel centre
+//   await grid.sampleDenseAt(point, 'O2') / setDenseAt(point, values) / addDenseAt(point, values)
+// With a block footprint particle trails land on the pixel under the particle (not on the cell's
+// centre pixel), scaled so each deposit raises its cell's reduced value by trailStrength.
+import { DENSE_W, DENSE_H, DENSE_TILE } from './SDFGridConstants.js';
+import { tileIndexOf } from './SDFGridTiles.js';
+
+export const DEFAULT_FOOTPRINT = Object.freeze({ splat:'point', reduce:'mean', sigma:0.25 });
+const SPLATS=['uniform', 'gaussian', 'point'], REDUCES=['mean', 'sum', 'max'];
+
+export function normalizeFootprint(f){
+  const o={ ...DEFAULT_FOOTPRINT, ...(typeof f==='string' ? { splat:f } : f) };
+  if (!SPLATS.includes(o.splat)) throw new Error(`footprint: unknown splat '${o.splat}'`);
+  if (!REDUCES.includes(o.reduce)) throw new Error(`footprint: unknown reduce '${o.reduce}'`);
+  o.sigma=o.sigma>0 ? +o.sigma : DEFAULT_FOOTPRINT.sigma;
+  return o;
+}
+
+export function setFootprint(f){
+  this.footprint=normalizeFootprint({ ...this.footprint, ...(typeof f==='string' ? { splat:f } : f) });
+  this._statsLayouts?.clear();
+  this._statsCache?.clear();
+  this.renderer?.refresh();
+  return { ...this.footprint };
+}
+
+const clampi=(v, n)=>Math.max(0, Math.min(n, v));
+
+// -> { x0,y0,x1,y1 } pixel rect (end exclusive, may be empty) of cell (x,y) on layer z
+export function _cellFootprint(z, x, y){
+  const { bx, by }=this._mapCellToDense(z, x, y);
+  if (this.footprint.splat==='point') return { x0:bx, y0:by, x1:bx+1, y1:by+1 };
+  const nuc=this.getNucleus(z), dx=x-nuc.x, dy=y-nuc.y;
+  const sx=DENSE_W/Math.max(1, this.state.cellsX), sy=DENSE_H/Math.max(1, this.state.cellsY);
+  const cx=(DENSE_W>>1)-1, cy=(DENSE_H>>1)-1;
+  return {
+    x0:clampi(Math.ceil(cx+(dx-0.5)*sx), DENSE_W), x1:clampi(Math.ceil(cx+(dx+0.5)*sx), DENSE_W),
+    y0:clampi(Math.ceil(cy+(dy-0.5)*sy), DENSE_H), y1:clampi(Math.ceil(cy+(dy+0.5)*sy), DENSE_H)
+  };
+}
+
+// Splat profile over a footprint, scaled so that reducing it gives 1.
+export function _splatWeights(fp){
+  const w=Math.max(0, fp.x1-fp.x0), h=Math.max(0, fp.y1-fp.y0), n=w*h, q=new Float64Array(n).fill(1);
+  if (!n) return q;
+  const { splat, reduce, sigma }=this.footprint;
+  if (splat==='gaussian'){
+    const sx=sigma*DENSE_W/Math.max(1, this.state.cellsX), sy=sigma*DENSE_H/Math.max(1, this.state.cellsY);
+    const mx=(w-1)/2, my=(h-1)/2;
+    for (let j=0; j<h; j++) for (let i=0; i<w; i++) q[j*w+i]=Math.exp(-0.5*(((i-mx)/sx)**2 + ((j-my)/sy)**2));
+  }
+  let s=0, m=0;
+  for (let i=0; i<n; i++){ s+=q[i]; if (q[i]>m) m=q[i]; }
+  const k=reduce==='mean' ? n/s : reduce==='sum' ? 1/s : 1/m;
+  for (let i=0; i<n; i++) q[i]*=k;
+  return q;
+}
+
+// Visits the footprint row segment by tile: fn(tileArray|null, offset of the first pixel, count).
+function eachSegment(layer, fp, fi, fn){
+  for (let py=fp.y0; py<fp.y1; py++){
+    for (let px=fp.x0; px<fp.x1; ){
+      const end=Math.min(fp.x1, (((px/DENSE_TILE)|0)+1)*DENSE_TILE);
+      fn(layer.tiles.get(tileIndexOf(px, py)) || null, layer.offset(px, py, fi), end-px);
+      px=end;
+    }
+  }
+}
+
+// Reduced value of field fi over a footprint (the field default for an empty one).
+export function _reduceFootprint(layer, fp, fi){
+  const mode=this.footprint.reduce, v0=layer.template ? layer.template[fi] : 0, F=layer.F;
+  let n=0, sum=0, max=-Infinity;
+  eachSegment(layer, fp, fi, (t, o, k)=>{
+    n+=k;
+    if (!t){ sum+=v0*k; if (v0>max) max=v0; return; }
+    for (let i=0; i<k; i++, o+=F){ const v=t[o]; sum+=v; if (v>max) max=v; }
+  });
+  if (!n) return v0;
+  return mode==='max' ? max : mode==='sum' ? sum : sum/n;
+}
+
+// Pixel values of field fi over a footprint, row-major.
+export function _readFootprint(layer, fp, fi){
+  const out=new Float32Array(Math.max(0, fp.x1-fp.x0)*Math.max(0, fp.y1-fp.y0)), v0=layer.template ? layer.template[fi] : 0;
+  let i=0;
+  eachSegment(layer, fp, fi, (t, o, k)=>{
+    if (!t){ out.fill(v0, i, i+k); i+=k; return; }
+    for (let j=0; j<k; j++, o+=layer.F) out[i++]=t[o];
+  });
+  return out;
+}
+
+// Writes row-major pixel values of field fi over a footprint.
+export function _writeFootprint(layer, fp, fi, vals){
+  let i=0;
+  for (let py=fp.y0; py<fp.y1; py++) for (let px=fp.x0; px<fp.x1; px++, i++){
+    if (layer.get(px, py, fi)!==vals[i]) layer.set(px, py, fi, vals[i]);
+  }
+}
+
+// ---- sub-cell access ----
+
+export function worldToDense(p){
+  const c=this._cellOfPoint(p);
+  if (!c) return null;
+  const [x, y, z]=c, S=this.state, nuc=this.getNucleus(z);
+  const sx=DENSE_W/Math.max(1, S.cellsX), sy=DENSE_H/Math.max(1, S.cellsY);
+  const u=(p.x-(this.position.x-S.gridWidth/2))/(S.gridWidth/S.cellsX)-0.5-nuc.x;
+  const v=(p.y-(this.position.y-S.gridHeight/2))/(S.gridHeight/S.cellsY)-0.5-nuc.y;
+  // rounding can cross into the neighbouring cell's pixels at the boundary; stay in the cell
+  const fp=this.footprint.splat==='point' ? null : this._cellFootprint(z, x, y);
+  let bx=Math.floor((DENSE_W>>1)-1+u*sx+0.5), by=Math.floor((DENSE_H>>1)-1+v*sy+0.5);
+  if (fp){
+    if (fp.x1<=fp.x0 || fp.y1<=fp.y0) return null;
+    bx=Math.max(fp.x0, Math.min(fp.x1-1, bx)); by=Math.max(fp.y0, Math.min(fp.y1-1, by));
+  } else if (bx<0 || by<0 || bx>=DENSE_W || by>=DENSE_H) return null;
+  return { z, bx, by, cell:c };
+}
+
+export function denseToWorld(z, bx, by, target=new THREE.Vector3()){
+  const S=this.state, zi=Math.min(Math.max(z|0, 0), this.effectiveCellsZ-1), nuc=this.getNucleus(zi);
+  const sx=DENSE_W/Math.max(1, S.cellsX), sy=DENSE_H/Math.max(1, S.cellsY);
+  return target.set(
+    this.position.x-S.gridWidth/2  + (nuc.x+(bx-((DENSE_W>>1)-1))/sx+0.5)*S.gridWidth/S.cellsX,
+    this.position.y-S.gridHeight/2 + (nuc.y+(by-((DENSE_H>>1)-1))/sy+0.5)*S.gridHeight/S.cellsY,
+    this.position.z-S.gridDepth/2  + (zi+0.5)*S.gridDepth/this.effectiveCellsZ);
+}
+
+export async function sampleDenseAt(p, field){
+  const fi=this.schema.index.get(field), d=this.worldToDense(p);
+  if (fi==null || !d) return 0;
+  return (await this._ensureDenseLayer(d.z)).get(d.bx, d.by, fi) || 0;
+}
+
+export async function setDenseAt(p, values){
+  const d=this.worldToDense(p);
+  if (!d) return false;
+  await this._writeDenseRect(d.z, d.cell[0], d.cell[1], { x0:d.bx, y0:d.by, x1:d.bx+1, y1:d.by+1 }, [1], values, false, true);
+  return true;
+}
+
+export async function addDenseAt(p, values){
+  const d=this.worldToDense(p);
+  if (!d) return false;
+  await this._writeDenseRect(d.z, d.cell[0], d.cell[1], { x0:d.bx, y0:d.by, x1:d.bx+1, y1:d.by+1 }, [1], values, true, true);
+  return true;
+}
+
+// Weight that makes a single-pixel deposit raise the reduced value of footprint fp by the amount.
+export function _pixelDepositScale(fp){
+  return this.footprint.reduce==='mean' ? Math.max(1, (fp.x1-fp.x0)*(fp.y1-fp.y0)) : 1;
+}
@@ -2,7 +2,21 @@
 export * from './SDFGridConstants.js';
 export * from './SDFGridUtil.js';
 export * from './SDFGridStorage.js';
+export * from './SDFGridTiles.js';
 export * from './SDFGridNucleus.js';
 export * from './SDFGridPersistence.js';
+export { SNAPSHOT_MAGIC, SNAPSHOT_VERSION, encodeSnapshot, decodeSnapshot } from './SDFGridSnapshot.js';
 export * from './SDFGridLogic.js';
+export { LOGIC_API_VERSION } from './SDFGridSandbox.js';
 export * from './SDFGridShape.js';
+export * from './SDFGridPrimitives.js';
+export { SDF_EVENTS } from './SDFGridEvents.js';
+export { CODEC_VERSION, DEFAULT_CODEC, encodeTile, decodeTile } from './SDFGridCodec.js';
+export { FIELD_TYPES, normalizeField, coerceValue } from './SDFGridSchema.js';
+export { SpatialHash, DEFAULT_INTERACTION } from './SDFGridNeighbors.js';
+export { InstancedGridRenderer, valueToColor } from './SDFGridRenderer.js';
+export { SliceRenderer } from './SDFGridSlices.js';
+export { COLORMAPS, DEFAULT_FIELD_STYLE, registerColormap, sampleColormap } from './SDFGridColormaps.js';
+export { IsoSurface, marchingCubes } from './SDFGridIsosurface.js';
+export { RESAMPLE_METHODS, resampleCells, cellLayout } from './SDFGridResample.js';
+export { DEFAULT_FOOTPRINT, normalizeFootprint } from './SDFGridFootprint.js';
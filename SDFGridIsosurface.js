@@ -0,0 +1,335 @@
+// Isosurface extraction (marching cubes) for the SDF zero surface or a field threshold.
+//
+//   const iso=await grid.extractIsosurface({ field:'O2', level:0.5, autoUpdate:true });
+//   scene.add(new THREE.Mesh(iso.geometry, material));   // or iso.toArrays()
+//
+// Samples sit at cell centres (the SDF may be sampled `resolution` times finer) across every
+// layer, with one ring of outside samples so surfaces close at the grid box. Positions are world
+// coordinates with layers along z, matching sdf()/particles. The volume is split into blocks of
+// `blockSize` cubes; update() re-samples only field layers whose tiles were written (the SDF only
+// when the shape or layout changed) and re-polygonises only blocks whose samples changed. Blocks
+// share pooled buffers (iso.positions / normals / indices, with spare room holding degenerate
+// triangles) that iso.geometry's attributes wrap and update in place; toArrays() gives compact copies.
+// With autoUpdate the surface follows the grid's 'step', 'cellschange', 'schemachange',
+// 'restore' and 'reshape' events; listen for 'update' on the IsoSurface to redraw.
+import { MC_TRI_TABLE } from './SDFGridMCTables.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
+
+const CORNERS = [[0,0,0],[1,0,0],[1,1,0],[0,1,0],[0,0,1],[1,0,1],[1,1,1],[0,1,1]];
+const EDGES   = [[0,1],[1,2],[2,3],[3,0],[4,5],[5,6],[6,7],[7,4],[0,4],[1,5],[2,6],[3,7]];
+
+// Polygonises cubes [c0, c1) of a scalar lattice (dims [nx,ny,nz], x fastest) where inside is
+// value < iso. Positions are in lattice units; normals point outward (towards larger values).
+export function marchingCubes(values, dims, iso=0, c0=[0,0,0], c1=null){
+  const [nx, ny, nz]=dims, sx=1, sy=nx, sz=nx*ny;
+  c1 ??= [nx-1, ny-1, nz-1];
+  const at=(x,y,z)=>values[x+y*sy+z*sz];
+  const grad=(x,y,z)=>{
+    const xm=Math.max(0,x-1), xp=Math.min(nx-1,x+1), ym=Math.max(0,y-1), yp=Math.min(ny-1,y+1), zm=Math.max(0,z-1), zp=Math.min(nz-1,z+1);
+    return [(at(xp,y,z)-at(xm,y,z))/(xp-xm||1), (at(x,yp,z)-at(x,ym,z))/(yp-ym||1), (at(x,y,zp)-at(x,y,zm))/(zp-zm||1)];
+  };
+  const positions=[], normals=[], indices=[];
+  const cache=new Map(); // lattice edge id -> vertex index
+  const vert=new Int32Array(12);
+  const v=new Float64Array(8);
+
+  for (let z=c0[2]; z<c1[2]; z++) for (let y=c0[1]; y<c1[1]; y++) for (let x=c0[0]; x<c1[0]; x++){
+    let cube=0;
+    for (let c=0;c<8;c++){
+      v[c]=at(x+CORNERS[c][0], y+CORNERS[c][1], z+CORNERS[c][2]);
+      if (v[c]<iso) cube|=1<<c;
+    }
+    const tris=MC_TRI_TABLE[cube];
+    if (!tris.length) continue;
+    for (const e of new Set(tris)){
+      const [a, b]=EDGES[e], A=CORNERS[a], B=CORNERS[b];
+      const lo=A[0]+A[1]+A[2] < B[0]+B[1]+B[2] ? A : B;
+      const axis=A[0]!==B[0] ? 0 : (A[1]!==B[1] ? 1 : 2);
+      const id=((x+lo[0])+(y+lo[1])*sy+(z+lo[2])*sz)*3+axis;
+      let vi=cache.get(id);
+      if (vi===undefined){
+        const t=v[a]===v[b] ? 0.5 : Math.min(1, Math.max(0, (iso-v[a])/(v[b]-v[a])));
+        const pa=[x+A[0], y+A[1], z+A[2]], pb=[x+B[0], y+B[1], z+B[2]];
+        const ga=grad(...pa), gb=grad(...pb);
+        const n=[ga[0]+(gb[0]-ga[0])*t, ga[1]+(gb[1]-ga[1])*t, ga[2]+(gb[2]-ga[2])*t];
+        const L=Math.hypot(n[0],n[1],n[2])||1;
+        vi=positions.length/3;
+        positions.push(pa[0]+(pb[0]-pa[0])*t, pa[1]+(pb[1]-pa[1])*t, pa[2]+(pb[2]-pa[2])*t);
+        normals.push(n[0]/L, n[1]/L, n[2]/L);
+        cache.set(id, vi);
+      }
+      vert[e]=vi;
+    }
+    // the table winds triangles clockwise seen from outside; emit them counter-clockwise
+    for (let i=0;i<tris.length;i+=3) indices.push(vert[tris[i]], vert[tris[i+2]], vert[tris[i+1]]);
+  }
+  return { positions, normals, indices };
+}
+
+export class IsoSurface extends EventTarget {
+  constructor(grid, { field=null, level, resolution=1, blockSize=8, autoUpdate=false }={}){
+    super();
+    this.grid = grid;
+    this.field = field;                     // null -> SDF zero surface
+    this.level = level ?? (field ? 0.5 : 0);
+    this.resolution = field ? 1 : Math.max(0.25, +resolution || 1);
+    this.blockSize = Math.max(2, blockSize|0);
+    this.vertexCount = 0;
+    this.triangleCount = 0;
+    this._geometry = null;
+    this._samples  = null;
+    this._sig      = null;                  // what the samples were taken for (see _signature)
+    this._layerSigs = [];                   // field surfaces: per layer { layer, rev, nuc } last sampled
+    this._blocks   = new Map();             // block key -> { positions, normals, indices, min, max } (world units)
+    this._resetPool(0, 0);
+    this._updating = null;
+    this._again    = false;
+    this._listeners = [];
+    if (autoUpdate) this._subscribe();
+  }
+
+  _subscribe(){
+    const on=(type, fn)=>{ this.grid.addEventListener(type, fn); this._listeners.push([type, fn]); };
+    const schedule=()=>{ this.update(); };
+    for (const t of [SDF_EVENTS.STEP, SDF_EVENTS.CELLS, SDF_EVENTS.SCHEMA, SDF_EVENTS.RESTORE, SDF_EVENTS.RESHAPE]) on(t, schedule);
+    on(SDF_EVENTS.DISPOSE, ()=>this.dispose());
+  }
+
+  // Lattice: interior samples at cell centres plus one padding sample on every side.
+  _layout(){
+    const g=this.grid, S=g.state, r=this.resolution;
+    const n=[Math.max(1, Math.round(S.cellsX*r)), Math.max(1, Math.round(S.cellsY*r)), Math.max(1, Math.round(g.effectiveCellsZ*r))];
+    const step=[S.gridWidth/n[0], S.gridHeight/n[1], S.gridDepth/n[2]];
+    const origin=[g.position.x-S.gridWidth/2-step[0]/2, g.position.y-S.gridHeight/2-step[1]/2, g.position.z-S.gridDepth/2-step[2]/2];
+    return { n, dims:[n[0]+2, n[1]+2, n[2]+2], step, origin };
+  }
+
+  // Everything but the layer contents the samples depend on; a change resamples every layer.
+  _signature(L){
+    const g=this.grid;
+    const common=[this.level, L.dims, L.origin];
+    if (!this.field) return JSON.stringify([...common, g._shapeSignature()]);
+    return JSON.stringify([...common, this.field, g.schema.id, g.schema.index.get(this.field) ?? -1, g.footprint, g._rev]);
+  }
+
+  // inside < 0: the SDF itself, or level - value for fields. Writes into this._samples and calls
+  // mark(x,y,z) for every sample that changed; field layers whose tiles (DenseLayer.revs) and nucleus
+  // are as last sampled are skipped, the SDF only when the signature changed (all).
+  async _sample(L, load, all, mark){
+    const g=this.grid, [nx,ny]=L.dims, out=this._samples;
+    const put=(s, v, x, y, z)=>{ if (out[s]!==v){ out[s]=v; mark(x, y, z); } };
+    if (this.field){
+      const fi=g.schema.index.get(this.field);
+      if (fi==null) return;
+      for (let z=0; z<L.n[2]; z++){
+        const layer=await load(z);
+        let rev=0; for (const r of layer.revs.values()) rev+=r;
+        const n=g.getNucleus(z), nuc=`${n.x},${n.y}`, prev=this._layerSigs[z];
+        if (!all && prev && prev.layer===layer && prev.rev===rev && prev.nuc===nuc) continue;
+        this._layerSigs[z]={ layer, rev, nuc };
+        for (let y=0; y<L.n[1]; y++) for (let x=0; x<L.n[0]; x++)
+          put((x+1)+(y+1)*nx+(z+1)*nx*ny, this.level-g._sampleCellSync(layer, z, x, y, fi), x+1, y+1, z+1);
+      }
+    } else if (all){
+      const p=new THREE.Vector3();
+      for (let z=1; z<=L.n[2]; z++){
+        const wz=L.origin[2]+z*L.step[2], zi=g.zLayerIndexFromWorldZ(wz);
+        for (let y=1; y<=L.n[1]; y++) for (let x=1; x<=L.n[0]; x++){
+          p.set(L.origin[0]+x*L.step[0], L.origin[1]+y*L.step[1], wz);
+          put(x+y*nx+z*nx*ny, g.sdf(p, zi)-this.level, x, y, z);
+        }
+      }
+    }
+  }
+
+  // Re-samples and rebuilds changed blocks; concurrent calls collapse into one follow-up run.
+  update(){
+    if (this._updating){ this._again=true; return this._updating; }
+    this._updating=this._update().finally(()=>{
+      this._updating=null;
+      if (this._again){ this._again=false; this.update(); }
+    });
+    return this._updating;
+  }
+
+  async _update(){
+    const g=this.grid;
+    if (!g || g._disposed) return null;
+    const L=this._layout(), sig=this._signature(L);
+    const B=this.blockSize, [nx,ny,nz]=L.dims;
+    const nb=[Math.ceil((nx-1)/B), Math.ceil((ny-1)/B), Math.ceil((nz-1)/B)];
+
+    const all=sig!==this._sig, dirty=new Set();
+    if (all){
+      const pad=this.field ? (Math.abs(this.level) || 1) : Math.min(...L.step);
+      this._samples=new Float32Array(nx*ny*nz).fill(pad);
+      this._sig=sig;
+      this._layerSigs=[];
+      this._blocks.clear();
+      this._resetPool(0, 0);
+      for (let k=0;k<nb[2];k++) for (let j=0;j<nb[1];j++) for (let i=0;i<nb[0];i++) dirty.add(i+nb[0]*(j+nb[1]*k));
+    }
+    // a sample feeds cubes s-1..s directly and, through gradients, s-2..s+1
+    const mark=(x,y,z)=>{
+      for (let bz=Math.max(0,((z-2)/B)|0); bz<=Math.min(nb[2]-1, ((z+1)/B)|0); bz++)
+        for (let by=Math.max(0,((y-2)/B)|0); by<=Math.min(nb[1]-1, ((y+1)/B)|0); by++)
+          for (let bx=Math.max(0,((x-2)/B)|0); bx<=Math.min(nb[0]-1, ((x+1)/B)|0); bx++) dirty.add(bx+nb[0]*(by+nb[1]*bz));
+    };
+    await g._withPinnedLayers(load=>this._sample(L, load, all, mark));
+    if (g._disposed || this._sig!==sig) return null;
+    if (!dirty.size) return { blocks:0, vertices:this.vertexCount, triangles:this.triangleCount };
+
+    const vals=this._samples;
+    for (const key of dirty){
+      const bx=key%nb[0], by=((key/nb[0])|0)%nb[1], bz=(key/(nb[0]*nb[1]))|0;
+      const c0=[bx*B, by*B, bz*B], c1=[Math.min(nx-1, c0[0]+B), Math.min(ny-1, c0[1]+B), Math.min(nz-1, c0[2]+B)];
+      const m=marchingCubes(vals, L.dims, 0, c0, c1);
+      if (!m.indices.length){ this._blocks.delete(key); this._place(key, null); continue; }
+      const pos=new Float32Array(m.positions.length), min=[Infinity,Infinity,Infinity], max=[-Infinity,-Infinity,-Infinity];
+      for (let i=0;i<pos.length;i+=3) for (let a=0;a<3;a++){
+        const v=pos[i+a]=L.origin[a]+m.positions[i+a]*L.step[a];
+        if (v<min[a]) min[a]=v; if (v>max[a]) max[a]=v;
+      }
+      // lattice normals are per-sample; rescale to world units before renormalising
+      const nrm=new Float32Array(m.normals.length);
+      for (let i=0;i<nrm.length;i+=3){
+        const x=m.normals[i]/L.step[0], y=m.normals[i+1]/L.step[1], z=m.normals[i+2]/L.step[2], l=Math.hypot(x,y,z)||1;
+        nrm[i]=x/l; nrm[i+1]=y/l; nrm[i+2]=z/l;
+      }
+      const b={ positions:pos, normals:nrm, indices:Uint32Array.from(m.indices), min, max };
+      this._blocks.set(key, b);
+      this._place(key, b);
+    }
+    this._syncGeometry();
+    const info={ blocks:dirty.size, vertices:this.vertexCount, triangles:this.triangleCount };
+    this.dispatchEvent(new CustomEvent('update', { detail:info }));
+    return info;
+  }
+
+  // ---- pooled buffers ----
+  // Blocks live in slots of shared position/normal/index arrays, so an update rewrites only the
+  // slots of changed blocks. Spare index room in a slot holds degenerate triangles; a block that
+  // outgrows its slot moves to the end, and the pool is repacked when it runs out of room.
+
+  _resetPool(nv, ni){
+    this.positions = new Float32Array(nv*3);
+    this.normals   = new Float32Array(nv*3);
+    this.indices   = new Uint32Array(ni);
+    this._slots = new Map();                // block key -> { v0, vc, i0, ic } (vertex / index ranges)
+    this._vEnd = 0; this._iEnd = 0; this._waste = 0;
+    this._repacked = true;                  // geometry attributes must be recreated
+    this._ranges = null;
+    this.vertexCount = 0; this.triangleCount = 0;
+  }
+
+  _place(key, b){
+    const s=this._slots.get(key), nv=b ? b.positions.length/3 : 0, ni=b ? b.indices.length : 0;
+    this.vertexCount+=nv-(s ? s.nv : 0); this.triangleCount+=(ni-(s ? s.ni : 0))/3;
+    if (s && nv<=s.vc && ni<=s.ic) return this._write(s, b);
+    if (s){ this._write(s, null); this._waste+=s.ic; this._slots.delete(key); }
+    if (!b) return;
+    const vc=Math.ceil(nv*1.25), ic=Math.ceil(ni/3*1.25)*3;
+    if (this._vEnd+vc>this.positions.length/3 || this._iEnd+ic>this.indices.length || this._waste>this._iEnd/2) return this._repack();
+    const n={ v0:this._vEnd, vc, i0:this._iEnd, ic, nv:0, ni:0 };
+    this._vEnd+=vc; this._iEnd+=ic;
+    this._slots.set(key, n);
+    this._write(n, b);
+  }
+
+  _write(s, b){
+    const P=this.positions, N=this.normals, I=this.indices;
+    s.nv=b ? b.positions.length/3 : 0; s.ni=b ? b.indices.length : 0;
+    if (b){ P.set(b.positions, s.v0*3); N.set(b.normals, s.v0*3); }
+    for (let k=0; k<s.ni; k++) I[s.i0+k]=b.indices[k]+s.v0;
+    I.fill(s.v0, s.i0+s.ni, s.i0+s.ic);
+    const r=(this._ranges ??= { v0:Infinity, v1:0, i0:Infinity, i1:0 });
+    r.v0=Math.min(r.v0, s.v0); r.v1=Math.max(r.v1, s.v0+s.vc);
+    r.i0=Math.min(r.i0, s.i0); r.i1=Math.max(r.i1, s.i0+s.ic);
+  }
+
+  // Lays every block out again with room to grow.
+  _repack(){
+    let nv=0, ni=0;
+    for (const b of this._blocks.values()){ nv+=Math.ceil(b.positions.length/3*1.25); ni+=Math.ceil(b.indices.length/3*1.25)*3; }
+    this._resetPool(Math.max(64, nv*2), Math.max(192, ni*2));
+    for (const [key, b] of this._blocks) this._place(key, b);
+  }
+
+  _syncGeometry(){
+    const geo=this._geometry;
+    if (!geo) return;
+    if (this._repacked) return this._fillGeometry(geo);
+    const r=this._ranges;
+    if (r){
+      const up=(attr, start, end, size)=>{
+        attr.addUpdateRange?.(start*size, (end-start)*size);
+        attr.needsUpdate=true;
+      };
+      up(geo.getAttribute('position'), r.v0, r.v1, 3);
+      up(geo.getAttribute('normal'), r.v0, r.v1, 3);
+      up(geo.getIndex(), r.i0, r.i1, 1);
+    }
+    this._ranges=null;
+    geo.setDrawRange(0, this._iEnd);
+    this._bounds(geo);
+  }
+
+  _fillGeometry(geo){
+    geo.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+    geo.setAttribute('normal',   new THREE.BufferAttribute(this.normals, 3));
+    geo.setIndex(new THREE.BufferAttribute(this.indices, 1));
+    geo.setDrawRange(0, this._iEnd);
+    this._bounds(geo);
+    this._repacked=false;
+    this._ranges=null;
+  }
+
+  // bounds from the blocks (spare slot room may hold stale vertices)
+  _bounds(geo){
+    const min=[0,0,0], max=[0,0,0];
+    let first=true;
+    for (const b of this._blocks.values()) for (let a=0; a<3; a++){
+      min[a]=first ? b.min[a] : Math.min(min[a], b.min[a]);
+      max[a]=first ? b.max[a] : Math.max(max[a], b.max[a]);
+      if (a===2) first=false;
+    }
+    geo.boundingBox=new THREE.Box3(new THREE.Vector3(...min), new THREE.Vector3(...max));
+    geo.boundingSphere=geo.boundingBox.getBoundingSphere(new THREE.Sphere());
+  }
+
+  // THREE.BufferGeometry kept in sync with update(); its attributes are updated in place and only
+  // recreated when the pool is repacked.
+  get geometry(){
+    if (!this._geometry){ this._geometry=new THREE.BufferGeometry(); this._fillGeometry(this._geometry); }
+    return this._geometry;
+  }
+
+  // Compact copies: positions/normals (xyz per vertex) and triangle indices, without spare slots.
+  toArrays(){
+    const P=new Float32Array(this.vertexCount*3), N=new Float32Array(this.vertexCount*3), I=new Uint32Array(this.triangleCount*3);
+    let ov=0, oi=0;
+    for (const b of this._blocks.values()){
+      P.set(b.positions, ov); N.set(b.normals, ov);
+      const base=ov/3;
+      for (let i=0;i<b.indices.length;i++) I[oi+i]=b.indices[i]+base;
+      ov+=b.positions.length; oi+=b.indices.length;
+    }
+    return { positions:P, normals:N, indices:I };
+  }
+
+  dispose(){
+    for (const [type, fn] of this._listeners) this.grid?.removeEventListener(type, fn);
+    this._listeners=[];
+    this._geometry?.dispose();
+    this._geometry=null;
+    this._blocks.clear();
+    this._samples=null;
+    this._sig=null;
+  }
+}
+
+export async function extractIsosurface(opts){
+  const iso=new IsoSurface(this, opts);
+  await iso.update();
+  return iso;
+}
@@ -1,25 +1,28 @@
-import { DENSE_W, DENSE_H, STORE_BASE, STORE_BASEZ, STORE_LAYER, STORE_LMETA } from './SDFGridConstants.js';
+import { DENSE_W, DENSE_H, DENSE_TILE, STORE_META, STORE_BASE, STORE_BASEZ, STORE_LAYER, STORE_LMETA, STORE_TILES } from './SDFGridConstants.js';
 import { arraysEqual } from './SDFGridUtil.js';
-import { idbGet, idbPut } from './SDFGridStorage.js';
+import { DenseLayer, TILE_PIXELS, tileKey } from './SDFGridTiles.js';
+import { migrationSteps, defaultsFor, migrateLayer } from './SDFGridSchema.js';
+import { encodeTile, decodeTile, codecMeta } from './SDFGridCodec.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
 
+// Per-schema template tile (each field's default; zeros unless a descriptor sets one), stored raw.
 export async function _ensureZeroTemplate(){
   if (!this._db) return null;
-  const F=this.schema.fieldNames.length;
+  const tmpl=this._fieldTemplate();
   const key=`sid:${this.schema.id}`;
-  let buf=await idbGet(this._db, STORE_BASEZ, key);
-  if (!buf){
-    const zeros=new Float32Array(DENSE_W*DENSE_H*F);
-    await idbPut(this._db, STORE_BASEZ, key, zeros.buffer);
-    buf=zeros.buffer;
-  }
-  return buf;
+  const cur=await this._db.get(STORE_BASEZ, key);
+  if (cur && sameFloats(new Float32Array(cur), tmpl)) return cur;
+  await this._db.put(STORE_BASEZ, key, tmpl.slice().buffer);
+  return tmpl.slice().buffer;
 }
 
+const sameFloats=(a, b)=>a.length===b.length && a.every((v, i)=>Object.is(v, b[i]));
+
 export async function _ensureBaseSDF(z){
   if (!this._db) return null;
   const W=this.state.cellsX, H=this.state.cellsY;
   const key=z|0;
-  const buf=await idbGet(this._db, STORE_BASE, key);
+  const buf=await this._db.get(STORE_BASE, key);
   if (buf) return new Int16Array(buf);
 
   const sx=this.state.gridWidth/W, sy=this.state.gridHeight/H, sz=this.state.gridDepth/this.effectiveCellsZ;
@@ -37,10 +40,25 @@ export async function _ensureBaseSDF(z){
       if ((++c & 0xFFFF)===0) await Promise.resolve();
     }
   }
-  await idbPut(this._db, STORE_BASE, key, arr.buffer);
+  await this._db.put(STORE_BASE, key, arr.buffer);
   return arr;
 }
 
+export function _shapeSignature(){
+  const S=this.state;
+  return JSON.stringify([S.shapeType||'', S.shapeTree||null, S.customSVGPath||'', S.gridWidth, S.gridHeight, S.gridDepth,
+    S.cellsX, S.cellsY, this.effectiveCellsZ]);
+}
+
+// Drops cached base SDFs when the shape or layout they were computed for has changed.
+export async function _syncBaseSDF(){
+  if (!this._db) return;
+  const sig=this._shapeSignature();
+  if ((await this._db.get(STORE_META, 'base_sig'))===sig) return;
+  for (const k of await this._db.keys(STORE_BASE)) await this._db.del(STORE_BASE, k);
+  await this._db.put(STORE_META, 'base_sig', sig);
+}
+
 export async function getBaseDistance(z,x,y){
   const W=this.state.cellsX,H=this.state.cellsY;
   if(!this._db || x<0||y<0||x>=W||y>=H) return 0;
@@ -54,54 +72,88 @@ export function _denseIdx(F,xPix,yPix,fi){
 
 export async function _ensureDenseLayer(z){
   const key=z|0;
-  if (this._layerCache.has(key)) return this._layerCache.get(key);
+  if (this._layerCache.has(key)){ this._cacheStats().hits++; return this._layerCache.get(key); }
+  // concurrent callers share one load; a load abandoned by _layerLoads.clear() neither removes its
+  // successor's entry nor replaces a layer cached meanwhile
+  this._layerLoads ??= new Map();
+  if (!this._layerLoads.has(key)){
+    const rev=this._rev;
+    this._cacheStats().misses++;
+    const p=this._loadDenseLayer(key).then(layer=>{
+      if (this._rev===rev && !this._disposed){
+        if (this._layerCache.has(key)) return this._layerCache.get(key);
+        this._layerCache.set(key, layer);
+        if (this._dirtyLayers.has(key)) this._scheduleFlush();
+        this._scheduleEviction();
+      }
+      return layer;
+    }).finally(()=>{ if (this._layerLoads.get(key)===p) this._layerLoads.delete(key); });
+    this._layerLoads.set(key, p);
+  }
+  return this._layerLoads.get(key);
+}
 
+export async function _loadDenseLayer(z){
   const targetSchema=this.schema;
+  const F=targetSchema.fieldNames.length;
   if (!this._db){
-    const arr=new Float32Array(DENSE_W*DENSE_H*targetSchema.fieldNames.length);
-    this._layerCache.set(key,arr); return arr;
+    const layer=new DenseLayer(F, this._fieldTemplate());
+    await this._applySparseIntoDense(z, layer);
+    layer.dirty.clear();
+    return layer;
   }
 
-  const lmeta=await idbGet(this._db, STORE_LMETA, key);
-  const buf=await idbGet(this._db, STORE_LAYER, key);
+  const tmpl=new Float32Array(await this._ensureZeroTemplate());
+  const lmeta=await this._db.get(STORE_LMETA, z);
+  // a legacy layer buffer without layer meta holds the current fields
+  const curList=lmeta ? lmeta.fields || [] : targetSchema.fieldNames;
+  const curF=curList.length;
+  const sid=lmeta ? lmeta.sid|0 : targetSchema.id;
+  let layer=null;
 
-  if (!buf){
-    const tmplBuf=await this._ensureZeroTemplate();
-    const arr=new Float32Array(tmplBuf.slice(0));
-    await this._applySparseIntoDense(z, arr);
-    await idbPut(this._db, STORE_LAYER, key, arr.buffer);
-    await idbPut(this._db, STORE_LMETA, key, { sid:targetSchema.id, fields:targetSchema.fieldNames });
-    this._layerCache.set(key,arr); return arr;
+  if (lmeta?.tiles){
+    layer=new DenseLayer(curF, templateFor(defaultsFor(targetSchema, sid, curList)));
+    layer.codec=lmeta.codec ?? null;
+    for (const ti of lmeta.tiles){
+      const t=await decodeTile(await this._db.get(STORE_TILES, tileKey(z, ti)), layer.codec);
+      if (t) layer.tiles.set(ti, t);
+    }
+  } else {
+    const buf=await this._db.get(STORE_LAYER, z);
+    if (buf){
+      // legacy whole-layer record: split into tiles and drop the old buffer
+      layer=DenseLayer.fromDense(curF, new Float32Array(buf));
+      layer.legacy=true;
+      this._dirtyLayers.add(z);
+    }
   }
 
-  const curSid=lmeta?.sid|0;
-  const curList=lmeta?.fields || [];
-  if (curSid === targetSchema.id && arraysEqual(curList, targetSchema.fieldNames)){
-    const arr=new Float32Array(buf);
-    this._layerCache.set(key,arr); return arr;
+  if (!layer){
+    layer=new DenseLayer(F, tmpl);
+    await this._applySparseIntoDense(z, layer);
+    if (layer.dirty.size) this._dirtyLayers.add(z);
+    return layer;
   }
+  layer.migrations=lmeta?.migrations || [];
 
-  const old=new Float32Array(buf);
-  const Fold=curList.length;
-  const Fnew=targetSchema.fieldNames.length;
-  const out=new Float32Array(DENSE_W*DENSE_H*Fnew);
-  const oldIdx=new Map(curList.map((n,i)=>[n,i]));
-
-  for (let y=0;y<DENSE_H;y++){
-    const rowOld=y*DENSE_W*Fold;
-    const rowNew=y*DENSE_W*Fnew;
-    for (let x=0;x<DENSE_W;x++){
-      const baseOld=rowOld + x*Fold;
-      const baseNew=rowNew + x*Fnew;
-      for (const [name, fiNew] of targetSchema.index){
-        const fiOld=oldIdx.get(name);
-        if (fiOld!=null) out[baseNew+fiNew] = old[baseOld+fiOld];
-      }
-    }
+  if (sid === targetSchema.id && arraysEqual(curList, targetSchema.fieldNames)){
+    layer.template=tmpl;
+    return layer;
   }
-  await idbPut(this._db, STORE_LAYER, key, out.buffer);
-  await idbPut(this._db, STORE_LMETA, key, { sid:targetSchema.id, fields:targetSchema.fieldNames });
-  this._layerCache.set(key,out); return out;
+
+  // replay the schema history from the layer's schema id (or match fields by name without one)
+  const steps=migrationSteps(targetSchema, sid, curList);
+  const out=migrateLayer(layer, curList, defaultsFor(targetSchema, sid, curList), steps, targetSchema, tmpl);
+  out.migrations.push({ from:sid, to:targetSchema.id, at:Date.now(), ...(steps ? {} : { byName:true }) });
+  this._dirtyLayers.add(z);
+  return out;
+}
+
+function templateFor(defaults){
+  if (!defaults.some(v=>v!==0)) return null;
+  const t=new Float32Array(TILE_PIXELS*defaults.length);
+  for (let p=0; p<t.length; p++) t[p]=defaults[p%defaults.length];
+  return t;
 }
 
 export function _mapCellToDense(z, x, y){
@@ -117,7 +169,17 @@ export function _mapCellToDense(z, x, y){
   return { bx, by };
 }
 
-export async function _applySparseIntoDense(z, arr){
+// Inverse of _mapCellToDense: nearest logical cell for a dense pixel (may fall outside the grid).
+export function _denseToCell(z, bx, by){
+  const w=this.state.cellsX, h=this.state.cellsY;
+  const nuc=this.getNucleus(z);
+  const sx=DENSE_W / Math.max(1,w);
+  const sy=DENSE_H / Math.max(1,h);
+  const baseC={ x:(DENSE_W>>1)-1, y:(DENSE_H>>1)-1 };
+  return { x: nuc.x + Math.round((bx-baseC.x)/sx), y: nuc.y + Math.round((by-baseC.y)/sy) };
+}
+
+export async function _applySparseIntoDense(z, layer){
   const F=this.schema.fieldNames.length;
   const applyFields=this.schema.fieldNames;
   for (const key in this.dataTable){
@@ -126,66 +188,110 @@ export async function _applySparseIntoDense(z, arr){
     if (zi !== (z|0)) continue;
     const x=Number(parts[0]), y=Number(parts[1]);
     if (x<0||x>=this.state.cellsX||y<0||y>=this.state.cellsY) continue;
-    const { bx, by } = this._mapCellToDense(z, x, y);
-    const base=this._denseIdx(F, bx, by, 0);
+    const fp=this._cellFootprint(z, x, y), q=this._splatWeights(fp);
     const src=this.dataTable[key];
     for (let fi=0; fi<F; fi++){
       const name=applyFields[fi];
       const v=src[name] || 0;
-      if (v!==0) arr[base+fi]=v;
+      if (v!==0) this._writeFootprint(layer, fp, fi, q.map(w=>this._coerceField(fi, v*w)));
     }
   }
 }
 
 export async function setDenseFromCell(z, xCell, yCell, values){
-  const arr=await this._ensureDenseLayer(z);
-  const F=this.schema.fieldNames.length;
-  const { bx, by } = this._mapCellToDense(z, xCell, yCell);
-  const base=this._denseIdx(F, bx, by, 0);
-  for (const [name,v] of Object.entries(values)){
-    const fi=this.schema.index.get(name); if (fi==null) continue;
-    arr[base+fi] = v;
-    this._maxField[name] = Math.max(this._maxField[name]||0, v||0);
-    if (name==='O2') this._maxO2=Math.max(this._maxO2, v||0);
-  }
-  this._dirtyLayers.add(z|0);
-  if (!this._flushHandle) this._flushHandle=setTimeout(()=>this._flushDirtyLayers(), 200);
+  return this._writeDenseCell(z, xCell, yCell, values, false, true);
 }
 
 export async function addDenseFromCell(z, xCell, yCell, values){
-  const arr=await this._ensureDenseLayer(z);
-  const F=this.schema.fieldNames.length;
-  const { bx, by } = this._mapCellToDense(z, xCell, yCell);
-  const base=this._denseIdx(F, bx, by, 0);
-  for (const [name,inc] of Object.entries(values)){
+  return this._writeDenseCell(z, xCell, yCell, values, true, true);
+}
+
+// Shared write path over the cell's footprint (SDFGridFootprint.js); `journal` records the edit for
+// undo (manual edits only, not simulation steps).
+export async function _writeDenseCell(z, xCell, yCell, values, add, journal, floor=null){
+  const fp=this._cellFootprint(z, xCell, yCell);
+  return this._writeDenseRect(z, xCell, yCell, fp, this._splatWeights(fp), values, add, journal, floor);
+}
+
+// Writes values × weights q over pixel rect fp, which lies in cell (xCell,yCell). With `floor`,
+// negative additions stop at it per pixel (pixels already below it are left alone).
+export async function _writeDenseRect(z, xCell, yCell, fp, q, values, add, journal, floor=null){
+  const layer=await this._ensureDenseLayer(z);
+  const changes=journal ? [] : null, changed=[];
+  for (const [name,v] of Object.entries(values)){
     const fi=this.schema.index.get(name); if (fi==null) continue;
-    const nxt=(arr[base+fi]||0) + inc;
-    arr[base+fi] = nxt;
-    this._maxField[name] = Math.max(this._maxField[name]||0, nxt);
-    if (name==='O2') this._maxO2=Math.max(this._maxO2, nxt);
+    const before=this._readFootprint(layer, fp, fi);
+    const lo=add && floor!=null && v<0 ? floor : -Infinity;
+    const nxt=before.map((b, i)=>this._coerceField(fi, add ? Math.max(b+(v||0)*q[i], Math.min(b, lo)) : (v||0)*q[i]));
+    if (!nxt.some((x, i)=>x!==before[i])) continue;
+    this._writeFootprint(layer, fp, fi, nxt);
+    changes?.push([name, before, nxt]);
+    changed.push(name);
+    const cell=this._reduceFootprint(layer, this._cellFootprint(z, xCell, yCell), fi);
+    this._maxField[name] = Math.max(this._maxField[name]||0, cell);
+    if (name==='O2') this._maxO2=Math.max(this._maxO2, cell);
   }
+  if (changes?.length) this._journal(z|0, xCell, yCell, fp, changes);
+  if (changed.length) this._queueCellChange(z|0, xCell, yCell, changed);
   this._dirtyLayers.add(z|0);
-  if (!this._flushHandle) this._flushHandle=setTimeout(()=>this._flushDirtyLayers(), 200);
+  this._scheduleFlush();
 }
 
 export async function sampleDenseForCell(z, xCell, yCell, field){
   const fi=this.schema.index.get(field); if (fi==null) return 0;
-  const arr=await this._ensureDenseLayer(z);
-  const F=this.schema.fieldNames.length;
-  const { bx, by } = this._mapCellToDense(z, xCell, yCell);
-  return arr[this._denseIdx(F, bx, by, fi)] || 0;
+  const layer=await this._ensureDenseLayer(z);
+  return this._sampleCellSync(layer, z, xCell, yCell, fi);
+}
+
+// Synchronous cell read (the footprint reduced) against an already loaded layer (see _ensureDenseLayer).
+export function _sampleCellSync(layer, z, xCell, yCell, fi){
+  return this._reduceFootprint(layer, this._cellFootprint(z, xCell, yCell), fi) || 0;
 }
 
+// Writes only the dirty tiles of each dirty layer, then the layer meta with its tile list.
 export async function _flushDirtyLayers(){
   if (this._disposed){ this._flushHandle=null; return; }
   if (!this._db || !this._dirtyLayers.size){ this._flushHandle=null; return; }
   const zs=Array.from(this._dirtyLayers);
   this._dirtyLayers.clear();
+  // the cached layers hold this schema now; evolveSchema during the puts migrates into new layers
+  const { id:sid, fieldNames:fields }=this.schema;
+  // layers being written can't be evicted (SDFGridCache.js) until their tiles are in storage
+  this._flushingLayers ??= new Map();
+  const busy=z=>this._flushingLayers.set(z|0, (this._flushingLayers.get(z|0) || 0)+1);
+  const done=z=>{ const n=this._flushingLayers.get(z|0)-1; if (n>0) this._flushingLayers.set(z|0, n); else this._flushingLayers.delete(z|0); };
   await Promise.all(zs.map(async z=>{
-    const arr=this._layerCache.get(z|0);
-    if (arr) await idbPut(this._db, STORE_LAYER, z|0, arr.buffer);
-    await idbPut(this._db, STORE_LMETA, z|0, { sid:this.schema.id, fields:this.schema.fieldNames });
-  }));
-  this._flushHandle=null;
+    const layer=this._layerCache.peek(z|0);
+    if (!layer) return;
+    busy(z);
+    try {
+      // tiles stored under another codec are rewritten, so the layer meta describes all of them
+      const codec=codecMeta(this.codec), recode=layer.codec!==undefined && JSON.stringify(layer.codec)!==JSON.stringify(codec);
+      const tis=Array.from(recode ? layer.tiles.keys() : layer.dirty);
+      try {
+        for (const ti of tis){
+          const t=layer.tiles.get(ti);
+          layer.dirty.delete(ti); // a write during the put marks it again
+          if (t) await this._db.put(STORE_TILES, tileKey(z, ti), await encodeTile(t, layer.F, this.codec));
+        }
+        await this._db.put(STORE_LMETA, z|0, {
+          sid, fields,
+          tile:DENSE_TILE, tiles:Array.from(layer.tiles.keys()), migrations:layer.migrations || [], codec
+        });
+      } catch(e){
+        // nothing is lost: the layer stays dirty for the next flush
+        for (const ti of tis) layer.dirty.add(ti);
+        this._dirtyLayers.add(z|0);
+        throw e;
+      }
+      layer.codec=codec;
+      if (layer.legacy){ await this._db.del(STORE_LAYER, z|0); layer.legacy=false; }
+      this._emit(SDF_EVENTS.FLUSH, { layer:z|0, tiles:tis, fields:fields.slice() });
+    } finally { done(z); }
+  })).finally(()=>{ this._flushHandle=null; });
 }
 
+export function _scheduleFlush(){
+  if (!this._flushHandle && this._dirtyLayers.size)
+    this._flushHandle=setTimeout(()=>this._flushDirtyLayers().catch(e=>console.error('SDFGrid layer flush failed', e)), 200);
+}
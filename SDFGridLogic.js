@@ -1,16 +1,42 @@
+import { createLogicSandbox } from './SDFGridSandbox.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
+
+// Parses src in the host without running it, so a sandbox that compiles asynchronously (a Worker,
+// or node:vm still loading) cannot turn a syntax error into a late failure. null where the page
+// forbids new Function (CSP): the sandbox reports the error then.
+function syntaxError(src){
+  try { new Function('THREE', src); return null; }
+  catch (e){ return e instanceof SyntaxError ? { message:e.message, line:null, column:null } : null; }
+}
+
+// Compiles user logic into an isolated sandbox (see SDFGridSandbox.js). On failure
+// compileError is a display string and compileErrorInfo holds { message, line, column }; the
+// 'logicerror' event follows on a microtask, so listeners added right after the constructor
+// (which compiles this.logic.code) still receive it.
+// Returns false for errors known now; this.logic.ready resolves to the final outcome once an
+// asynchronous sandbox has compiled (e.g. applyForce missing in a Worker).
 export function compileLogic(src){
   src = src || "";
-  try{
-    const f = new Function('THREE','"use strict";\n'+src+'\n;return (typeof applyForce==="function")?applyForce:null;')(THREE);
-    if (typeof f!=='function') throw 0;
-    this.logic.compiled=(ctx)=>f(ctx); this.logic.compileError=null; this.logic.code=src; return true;
-  }catch(e1){
-    try{
-      const F=(0,eval)('(function(THREE){"use strict";'+src+';return (typeof applyForce==="function")?applyForce:null;})');
-      const g=F(THREE); if (typeof g!=='function') throw 0;
-      this.logic.compiled=(ctx)=>g(ctx); this.logic.compileError=null; this.logic.code=src; return true;
-    }catch(e2){
-      this.logic.compiled=null; this.logic.compileError=(e1?.message||String(e1))+' | '+(e2?.message||String(e2)); return false;
-    }
-  }
+  const prev=this.logic.compiled;
+  let sb=null;
+  try{ sb=createLogicSandbox(src); }
+  catch(e){ sb={ compileError:{ message:e?.message||String(e), line:null, column:null }, dispose(){} }; }
+  const fail=(info)=>{
+    this.logic.compiled=null;
+    this.logic.compileErrorInfo=info;
+    this.logic.compileError=info.line ? `${info.message} (line ${info.line}${info.column?`:${info.column}`:''})` : info.message;
+    queueMicrotask(()=>this._emit(SDF_EVENTS.LOGIC_ERROR, { ...info }));
+    return false;
+  };
+  const early=sb.compileError || (sb.pending ? syntaxError(src) : null);
+  if (early){ sb.dispose(); this.logic.ready=Promise.resolve(false); return fail(early); }
+  prev?.dispose?.();
+  this.logic.compiled=sb; this.logic.compileError=null; this.logic.compileErrorInfo=null; this.logic.code=src;
+  this.logic.ready=Promise.resolve(sb.ready).then(()=>{
+    if (this.logic.compiled!==sb) return !sb.compileError;
+    if (!sb.compileError) return true;
+    sb.dispose();
+    return fail(sb.compileError);
+  });
+  return true;
 }
@@ -0,0 +1,149 @@
+// Particle neighbour queries and particle–particle interaction forces.
+//
+// updateParticles records the frame's particle positions; the spatial hash over them, bucketed by
+// logical grid cell (cells outside the grid box are hashed too), is only built when queryRadius /
+// queryCell or enabled interaction forces with a non-zero weight need it.
+//
+// this.logic.interaction = { enabled, radius (world units; default one cell), maxNeighbors (16),
+//                            separation, cohesion, alignment }   // weights, saved with the logic
+// Per particle, over neighbours within `radius`:
+//   separation : Σ (p - q) / d²          push apart, strongest when close
+//   cohesion   : centroid(q) - p         pull towards the local group
+//   alignment  : mean(v_q) - v_p         match neighbours' velocity
+// Without a logic script the weighted sum is added to the velocity (× dt); scripts get the
+// three vectors and ctx.neighbors, and opt in with ctx.applyInteraction().
+
+export const DEFAULT_INTERACTION = Object.freeze({
+  enabled:false, radius:null, maxNeighbors:16, separation:1, cohesion:0.5, alignment:0.5
+});
+
+export class SpatialHash {
+  constructor(sx, sy, sz){
+    this.sx=sx; this.sy=sy; this.sz=sz;
+    this.cells=new Map();  // "ix,iy,iz" -> particle indices
+    this.pos=new Float64Array(0);
+    this.count=0;
+  }
+
+  static key(ix, iy, iz){ return `${ix},${iy},${iz}`; }
+
+  // pos: Float64Array(3n) of positions relative to the grid's min corner
+  build(pos, n){
+    this.cells.clear();
+    this.pos=pos; this.count=n;
+    for (let i=0;i<n;i++){
+      const k=SpatialHash.key(Math.floor(pos[3*i]/this.sx), Math.floor(pos[3*i+1]/this.sy), Math.floor(pos[3*i+2]/this.sz));
+      let b=this.cells.get(k); if (!b) this.cells.set(k, b=[]);
+      b.push(i);
+    }
+    return this;
+  }
+
+  queryCell(ix, iy, iz, ring=1, out=[]){
+    for (let dz=-ring; dz<=ring; dz++) for (let dy=-ring; dy<=ring; dy++) for (let dx=-ring; dx<=ring; dx++){
+      const b=this.cells.get(SpatialHash.key(ix+dx, iy+dy, iz+dz));
+      if (b) for (const i of b) out.push(i);
+    }
+    return out;
+  }
+
+  // Indices within r of (x,y,z), with their distances in dist (same order) when given.
+  // A box spanning more hash cells than are occupied walks the occupied buckets instead.
+  queryRadius(x, y, z, r, out=[], dist=null){
+    const r2=r*r, p=this.pos;
+    const visit=b=>{
+      for (const i of b){
+        const dx=p[3*i]-x, dy=p[3*i+1]-y, dz=p[3*i+2]-z, d2=dx*dx+dy*dy+dz*dz;
+        if (d2<=r2){ out.push(i); if (dist) dist.push(Math.sqrt(d2)); }
+      }
+    };
+    const x0=Math.floor((x-r)/this.sx), x1=Math.floor((x+r)/this.sx);
+    const y0=Math.floor((y-r)/this.sy), y1=Math.floor((y+r)/this.sy);
+    const z0=Math.floor((z-r)/this.sz), z1=Math.floor((z+r)/this.sz);
+    if ((x1-x0+1)*(y1-y0+1)*(z1-z0+1)>this.cells.size){
+      for (const b of this.cells.values()) visit(b);
+      return out;
+    }
+    for (let iz=z0; iz<=z1; iz++) for (let iy=y0; iy<=y1; iy++) for (let ix=x0; ix<=x1; ix++){
+      const b=this.cells.get(SpatialHash.key(ix, iy, iz));
+      if (b) visit(b);
+    }
+    return out;
+  }
+}
+
+export function setInteraction(opts){
+  this.logic.interaction={ ...DEFAULT_INTERACTION, ...this.logic.interaction, ...opts };
+  return this.logic.interaction;
+}
+
+export function _buildNeighborIndex(particles){
+  const S=this.state, n=particles.length;
+  const ox=this.position.x-S.gridWidth/2, oy=this.position.y-S.gridHeight/2, oz=this.position.z-S.gridDepth/2;
+  const pos=new Float64Array(3*n);
+  for (let i=0;i<n;i++){
+    const p=particles[i].position;
+    pos[3*i]=p.x-ox; pos[3*i+1]=p.y-oy; pos[3*i+2]=p.z-oz;
+  }
+  this._neighbors={ particles, origin:[ox, oy, oz], pos, hash:null,
+    cell:[S.gridWidth/S.cellsX, S.gridHeight/S.cellsY, S.gridDepth/this.effectiveCellsZ] };
+  return this._neighbors;
+}
+
+// The spatial hash of the last recorded frame, built on first use.
+function hashOf(nb){
+  return nb.hash ??= new SpatialHash(...nb.cell).build(nb.pos, nb.particles.length);
+}
+
+// Interaction forces only run when enabled with some non-zero weight.
+export function _interactionActive(){
+  const I=this.logic.interaction;
+  return !!I?.enabled && !!(I.separation || I.cohesion || I.alignment);
+}
+
+// Particles (from the last updateParticles) within r world units of point.
+export function queryRadius(point, r){
+  const nb=this._neighbors; if (!nb) return [];
+  const [ox,oy,oz]=nb.origin;
+  return hashOf(nb).queryRadius(point.x-ox, point.y-oy, point.z-oz, r).map(i=>nb.particles[i]);
+}
+
+// Particles in logical cell (x,y,z) and the `ring` cells around it.
+export function queryCell(x, y, z, ring=1){
+  const nb=this._neighbors; if (!nb) return [];
+  return hashOf(nb).queryCell(x|0, y|0, z|0, ring).map(i=>nb.particles[i]);
+}
+
+// -> { nb: per-particle [[j, d]...] (nearest first), f: Float64Array(9n) of sep|coh|ali vectors }
+export function _interactionForces(particles){
+  const I=this.logic.interaction, n=particles.length;
+  const hash=hashOf(this._neighbors), pos=hash.pos;
+  const r=I.radius>0 ? I.radius : Math.min(hash.sx, hash.sy, hash.sz);
+  const maxN=Math.max(1, I.maxNeighbors|0 || DEFAULT_INTERACTION.maxNeighbors);
+  const f=new Float64Array(9*n), lists=new Array(n);
+  const idx=[], dist=[];
+  for (let i=0;i<n;i++){
+    idx.length=0; dist.length=0;
+    hash.queryRadius(pos[3*i], pos[3*i+1], pos[3*i+2], r, idx, dist);
+    const nbr=[];
+    for (let k=0;k<idx.length;k++) if (idx[k]!==i) nbr.push([idx[k], dist[k]]);
+    nbr.sort((a,b)=>a[1]-b[1]);
+    if (nbr.length>maxN) nbr.length=maxN;
+    lists[i]=nbr;
+    if (!nbr.length) continue;
+
+    const vi=particles[i].velocity, o=9*i;
+    let cx=0, cy=0, cz=0, ax=0, ay=0, az=0;
+    for (const [j, d] of nbr){
+      const dx=pos[3*i]-pos[3*j], dy=pos[3*i+1]-pos[3*j+1], dz=pos[3*i+2]-pos[3*j+2];
+      const w=1/Math.max(d*d, 1e-6);
+      f[o]+=dx*w; f[o+1]+=dy*w; f[o+2]+=dz*w;
+      cx+=pos[3*j]; cy+=pos[3*j+1]; cz+=pos[3*j+2];
+      const vj=particles[j].velocity; ax+=vj.x; ay+=vj.y; az+=vj.z;
+    }
+    const m=nbr.length;
+    f[o+3]=cx/m-pos[3*i]; f[o+4]=cy/m-pos[3*i+1]; f[o+5]=cz/m-pos[3*i+2];
+    f[o+6]=ax/m-vi.x;     f[o+7]=ay/m-vi.y;     f[o+8]=az/m-vi.z;
+  }
+  return { nb:lists, f };
+}
@@ -1,3 +1,21 @@
+// Nucleus selection: the cell each layer's dense overlay is aligned to (_mapCellToDense).
+//
+// Rules, one per layer (stored as `z:${z}`.rule, reapplied by updateGrid):
+//   'dir'      | { type:'dir', dir:{ x,y } }  one of the four centre cells, towards the propagation direction
+//   'centroid'                                interior cell closest to the centroid of the interior
+//   'peak'                                    deepest interior cell (largest inscribed circle)
+//   { type:'pinned', x, y, w, h }             fixed cell; rescaled when the grid size differs from w×h
+//   'previous' | { type:'previous', fallback } the nucleus of layer z-1 (layer 0 uses fallback, default 'centroid')
+// 'centroid' and 'peak' fall back to 'dir' on layers without interior cells.
+//
+//   await grid.setNucleusRule('peak')            all layers;  setNucleusRule(z | [z...], rule) for some
+//   grid.nucleusRule(z)                          -> rule object
+// Changing a rule moves the nucleus; dense data already written stays where it is in the overlay.
+import { STORE_META } from './SDFGridConstants.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
+
+export const NUCLEUS_RULES = ['dir', 'centroid', 'peak', 'pinned', 'previous'];
+
 // Logic for selecting nuclei positions based on propagation direction
 export function pickNucleusByDirection(w,h,dir){
   const pivot={x:(w-1)/2,y:(h-1)/2}, cx=w>>1, cy=h>>1;
@@ -11,3 +29,160 @@ export function pickNucleusByDirection(w,h,dir){
   }
   return best;
 }
+
+// 'peak' | { type:'peak' } | null (-> 'dir') -> rule object; throws on unknown rules
+export function normalizeNucleusRule(rule){
+  const r=rule==null ? { type:'dir' } : typeof rule==='string' ? { type:rule } : { ...rule };
+  if (!NUCLEUS_RULES.includes(r.type)) throw new Error(`nucleus: unknown rule '${r.type}'`);
+  if (r.type==='pinned' && !(Number.isFinite(r.x) && Number.isFinite(r.y))) throw new Error('nucleus: pinned rule needs x and y');
+  if (r.type==='previous' && r.fallback!=null) r.fallback=normalizeNucleusRule(r.fallback);
+  return r;
+}
+
+// rule | [rule per layer] -> Z rules (a short list repeats its last entry)
+export function nucleusRulesFor(rules, Z){
+  const list=Array.isArray(rules) ? rules : [rules];
+  return Array.from({ length:Z }, (_,z)=>normalizeNucleusRule(list[Math.min(z, list.length-1)]));
+}
+
+// Interior cell (mask=1) closest to (tx,ty) in cell units scaled by sx,sy; ties go to the first.
+function closestInterior(mask, w, h, tx, ty, sx=1, sy=1, pick=null){
+  let best=null, bd=Infinity;
+  for (let y=0; y<h; y++) for (let x=0; x<w; x++){
+    if (!mask[y*w+x] || (pick && !pick(x, y))) continue;
+    const d=((x+0.5-tx)*sx)**2 + ((y+0.5-ty)*sy)**2;
+    if (d<bd){ bd=d; best={ x, y }; }
+  }
+  return best;
+}
+
+function centroidOf(mask, w, h){
+  let n=0, sx=0, sy=0;
+  for (let y=0; y<h; y++) for (let x=0; x<w; x++) if (mask[y*w+x]){ n++; sx+=x+0.5; sy+=y+0.5; }
+  return n ? { x:sx/n, y:sy/n } : null;
+}
+
+// -> { x,y } interior cell nearest the interior centroid (concave shapes: not the centroid itself), or null
+export function interiorCentroid(mask, w, h, sx=1, sy=1){
+  const c=centroidOf(mask, w, h);
+  return c && closestInterior(mask, w, h, c.x, c.y, sx, sy);
+}
+
+// 1-D squared distance transform of f at positions i*s (Felzenszwalb & Huttenlocher)
+function edt1d(f, n, s, d, v, zz){
+  let k=0; v[0]=0; zz[0]=-Infinity; zz[1]=Infinity;
+  const at=(q)=>f[q]+(q*s)**2;
+  for (let q=1; q<n; q++){
+    let p=(at(q)-at(v[k]))/(2*s*(q-v[k]));
+    while (p<=zz[k]){ k--; p=(at(q)-at(v[k]))/(2*s*(q-v[k])); }
+    k++; v[k]=q; zz[k]=p; zz[k+1]=Infinity;
+  }
+  k=0;
+  for (let q=0; q<n; q++){
+    while (zz[k+1]<q*s) k++;
+    d[q]=(s*(q-v[k]))**2 + f[v[k]];
+  }
+}
+
+// Squared Euclidean distance from each cell to the nearest exterior cell, with everything outside
+// the grid counting as exterior; cell sizes sx,sy. -> Float64Array(w*h)
+export function interiorDistance(mask, w, h, sx=1, sy=1){
+  const W=w+2, H=h+2, BIG=1e20, g=new Float64Array(W*H);
+  for (let y=0; y<h; y++) for (let x=0; x<w; x++) if (mask[y*w+x]) g[(y+1)*W+x+1]=BIG;
+  const n=Math.max(W, H), f=new Float64Array(n), d=new Float64Array(n), v=new Int32Array(n), zz=new Float64Array(n+1);
+  for (let x=0; x<W; x++){
+    for (let y=0; y<H; y++) f[y]=g[y*W+x];
+    edt1d(f, H, sy, d, v, zz);
+    for (let y=0; y<H; y++) g[y*W+x]=d[y];
+  }
+  for (let y=0; y<H; y++){
+    for (let x=0; x<W; x++) f[x]=g[y*W+x];
+    edt1d(f, W, sx, d, v, zz);
+    for (let x=0; x<W; x++) g[y*W+x]=d[x];
+  }
+  const out=new Float64Array(w*h);
+  for (let y=0; y<h; y++) for (let x=0; x<w; x++) out[y*w+x]=g[(y+1)*W+x+1];
+  return out;
+}
+
+// -> { x,y, radius } centre of the largest inscribed circle (ties: nearest the centroid), or null
+export function inscribedPeak(mask, w, h, sx=1, sy=1){
+  const c=centroidOf(mask, w, h);
+  if (!c) return null;
+  const D=interiorDistance(mask, w, h, sx, sy);
+  let max=0; for (let i=0; i<D.length; i++) if (mask[i] && D[i]>max) max=D[i];
+  const best=closestInterior(mask, w, h, c.x, c.y, sx, sy, (x, y)=>D[y*w+x]>=max*(1-1e-9));
+  return { ...best, radius:Math.sqrt(max) };
+}
+
+// Nucleus of layer z under `rule`; prev is layer z-1's nucleus.
+function nucleusFor(grid, z, rule, prev){
+  const w=grid.state.cellsX, h=grid.state.cellsY;
+  switch (rule.type){
+    case 'centroid': case 'peak': {
+      const sx=grid.state.gridWidth/w, sy=grid.state.gridHeight/h, mask=grid._interiorMask(z);
+      const c=rule.type==='peak' ? inscribedPeak(mask, w, h, sx, sy) : interiorCentroid(mask, w, h, sx, sy);
+      if (c) return { x:c.x, y:c.y };
+      break;
+    }
+    case 'pinned': {
+      const fx=rule.w>0 ? w/rule.w : 1, fy=rule.h>0 ? h/rule.h : 1, clampi=(v, n)=>Math.min(n-1, Math.max(0, v));
+      return { x:clampi(Math.floor((rule.x+0.5)*fx), w), y:clampi(Math.floor((rule.y+0.5)*fy), h) };
+    }
+    case 'previous':
+      return prev ? { x:prev.x, y:prev.y } : nucleusFor(grid, z, rule.fallback || { type:'centroid' }, null);
+  }
+  return pickNucleusByDirection(w, h, rule.dir || grid.propagationDir);
+}
+
+// Recomputes the nuclei of `layers` (all when omitted) and of 'previous' layers following a changed
+// one. Needs the interior masks, i.e. an initialised grid. -> changed layer indices
+export function _computeNuclei(layers=null){
+  const Z=this.effectiveCellsZ, want=layers ? new Set(layers) : null, changed=[];
+  let moved=false;
+  for (let z=0; z<Z; z++){
+    const rule=(this._nucleusRules[z] ??= { type:'dir' });
+    if (!(!want || want.has(z) || (moved && rule.type==='previous'))){ moved=false; continue; }
+    const old=this._nuclei[z], n=nucleusFor(this, z, rule, z>0 ? this._nuclei[z-1] : null);
+    this._nuclei[z]=n;
+    moved=!old || old.x!==n.x || old.y!==n.y;
+    if (!want || want.has(z) || moved) changed.push(z);
+  }
+  return changed;
+}
+
+// Writes the `z:${z}` meta records of the given layers.
+export async function _persistNuclei(layers){
+  const db=this._db;
+  if (!db) return;
+  const w=this.state.cellsX, h=this.state.cellsY;
+  for (const z of layers){
+    const n=this._nuclei[z];
+    await db.put(STORE_META, `z:${z}`, { cx:n.x, cy:n.y, w, h, rule:this._nucleusRules[z] });
+  }
+}
+
+export function nucleusRule(z){
+  const zi=Math.min(Math.max(z|0, 0), this.effectiveCellsZ-1);
+  return normalizeNucleusRule(this._nucleusRules[zi]);
+}
+
+// Sets the rule of layer(s) z (every layer when z is null or 'all') and moves their nuclei.
+// Pinned coordinates refer to the current cell grid unless w/h are given. -> [{ x,y,z }] of changed layers
+export async function setNucleusRule(z, rule){
+  if (rule===undefined){ rule=z; z=null; }
+  await this.ready;
+  const all=z==null || z==='all';
+  const zs=all ? Array.from({ length:this.effectiveCellsZ }, (_,i)=>i)
+    : [].concat(z).map(v=>v|0).filter(v=>v>=0 && v<this.effectiveCellsZ);
+  const r=normalizeNucleusRule(rule);
+  if (r.type==='pinned'){ r.w ??= this.state.cellsX; r.h ??= this.state.cellsY; }
+  for (const i of zs) this._nucleusRules[i]={ ...r };
+  const changed=this._computeNuclei(zs);
+  await this._persistNuclei(changed);
+  if (changed.length){
+    this._statsCache?.clear();
+    this._emit(SDF_EVENTS.NUCLEUS, { layers:changed, nuclei:changed.map(i=>this.getNucleus(i)) });
+  }
+  return changed.map(i=>this.getNucleus(i));
+}
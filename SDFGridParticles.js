@@ -1,42 +1,104 @@
+import { SDF_EVENTS } from './SDFGridEvents.js';
+import { stepSeed } from './SDFGridReplay.js';
+
+// In deterministic mode (SDFGridReplay.js) dt is the fixed timestep and the step is recorded.
+// Only the transport pass pins layers (SDFGridCache.js); the logic snapshot reads and deposits
+// write each layer right after loading it.
 export async function updateParticles(particles, dt){
+  const D=this.determinism?.enabled ? this.determinism : null;
+  if (!D) return step.call(this, particles, dt, null);
+  return this._deterministicStep(particles, ()=>step.call(this, particles, D.dt, D));
+}
+
+// The particle's own number/string/boolean properties, which logic scripts see on ctx.p.
+export function particleData(p){
+  let out=null;
+  for (const k of Object.keys(p)){
+    if (k==='position' || k==='velocity') continue;
+    const t=typeof p[k];
+    if (t==='number' || t==='string' || t==='boolean') (out ??= {})[k]=p[k];
+  }
+  return out;
+}
+
+async function step(particles, dt, D){
   if (this._disposed) return;
   const rev=this._rev;
 
-  const sX=this.state.gridWidth/this.state.cellsX;
-  const sY=this.state.gridHeight/this.state.cellsY;
-  const sZ=this.state.gridDepth/this.effectiveCellsZ;
-
   for (let z=0; z<this.effectiveCellsZ; z++)
     for (let y=0; y<this.state.cellsY; y++)
       for (let x=0; x<this.state.cellsX; x++)
-        if (this.blobArray[z][y][x]!==null) this.blobArray[z][y][x].length=0;
+        if (this.blobArray[z][y][x]?.length){ this.blobArray[z][y][x].length=0; this._markSparse(z); }
 
-  const updated=new Map();
+  const updated=new Map(), point=this.footprint.splat==='point';
+  const N=particles.length;
+  const zis=new Int32Array(N), sds=new Float64Array(N), grads=new Array(N);
+  for (let i=0;i<N;i++){
+    const p=particles[i];
+    zis[i]=this.zLayerIndexFromWorldZ(p.position.z);
+    sds[i]=this.sdf(p.position, zis[i]);
+    grads[i]=this.sdfGrad(p.position, zis[i]);
+  }
+  this._buildNeighborIndex(particles);
+  const I=this.logic.interaction;
+  const ia=N && this._interactionActive() ? this._interactionForces(particles) : null;
+
+  // user logic runs once per frame over the whole batch inside its sandbox
+  let results=null;
+  if (this.logic.enabled && this.logic.compiled && N){
+    const t0=performance.now();
+    const cells=particles.map(p=>this._cellOfPoint(p.position));
+    const snap=await this._logicFieldSnapshot(cells);
+    if (this._disposed || this._rev!==rev) return;
+    const out=await this.logic.compiled.run({
+      shared:{ dt, center:this.position.toArray(), uid:this.uid,
+        forceScale:(typeof this.logic.forceScale==='number'?this.logic.forceScale:1), state:this.state, ...snap,
+        interaction:{ separation:I.separation, cohesion:I.cohesion, alignment:I.alignment },
+        ...(D ? { seed:stepSeed(D.seed, D.step), time:D.time } : {}) },
+      items:particles.map((p,i)=>({
+        position:p.position.toArray(), velocity:p.velocity.toArray(), data:particleData(p),
+        sd:sds[i], inside:sds[i]<0, grad:grads[i].toArray(), zIndex:zis[i], cell:cells[i],
+        nb:ia ? ia.nb[i] : [], ia:ia ? Array.from(ia.f.subarray(9*i, 9*i+9)) : null
+      }))
+    }, D ? D.budgetMs : this.logic.budgetMs ?? 8);
+    if (this._disposed || this._rev!==rev) return;
+    results=out;
+    await this._applyLogicDeposits(cells, out.deposits || []);
+    this.logic.errors=out.errors.slice(0, 100).map(e=>({ ...e, particle:e.i }));
+    this.logic.lastRun={ total:N, done:out.done, errors:out.errors.length, timedOut:!!out.timedOut, ms:performance.now()-t0 };
+  }
 
-  for (let i=0;i<particles.length;i++){
+  for (let i=0;i<N;i++){
     const p=particles[i];
-    const zi=this.zLayerIndexFromWorldZ(p.position.z);
-    const sd=this.sdf(p.position, zi);
-    const inside=sd<0;
-    const grad=this.sdfGrad(p.position, zi);
-
-    if (this.logic.enabled && this.logic.compiled){
-      try{
-        this.logic.compiled({ p, dt, sd, inside, grad, center:this.position, zIndex:zi, uid:this.uid, forceScale:(typeof this.logic.forceScale==='number'?this.logic.forceScale:1), state:this.state });
-      }catch{
-        const v=this.position.clone().sub(p.position); const L=v.length()||1e-6; p.velocity.addScaledVector(v,0.2*dt/L);
+    const inside=sds[i]<0;
+
+    if (results){
+      const v=results.v[i], q=results.pos?.[i];
+      if (v) p.velocity.set(v[0],v[1],v[2]);
+      if (q) p.position.set(q[0],q[1],q[2]);
+      if (results.data?.[i]) Object.assign(p, results.data[i]);
+      if (!v && i<this.logic.lastRun.done){
+        const a=this.position.clone().sub(p.position); const L=a.length()||1e-6; p.velocity.addScaledVector(a,0.2*dt/L);
       }
     } else {
       const v=this.position.clone().sub(p.position); const L=v.length()||1e-6; p.velocity.addScaledVector(v,0.2*dt/L);
+      if (ia){
+        const f=ia.f, o=9*i, ws=I.separation*dt, wc=I.cohesion*dt, wa=I.alignment*dt;
+        p.velocity.x+=f[o]*ws+f[o+3]*wc+f[o+6]*wa;
+        p.velocity.y+=f[o+1]*ws+f[o+4]*wc+f[o+7]*wa;
+        p.velocity.z+=f[o+2]*ws+f[o+5]*wc+f[o+8]*wa;
+      }
       if (inside) p.velocity.multiplyScalar(0.995);
     }
 
-    if (inside){
-      const x=Math.floor((p.position.x - (this.position.x - this.state.gridWidth/2))/sX);
-      const y=Math.floor((p.position.y - (this.position.y - this.state.gridHeight/2))/sY);
-      const z=Math.floor((p.position.z - (this.position.z - this.state.gridDepth/2))/sZ);
-      if (x>=0&&x<this.state.cellsX && y>=0&&y<this.state.cellsY && z>=0&&z<this.effectiveCellsZ && this.blobArray[z][y][x]!==null){
-        const k=`${x},${y},${z}`; if (!updated.has(k)) updated.set(k,{x,y,z,count:0}); updated.get(k).count++;
+    // fixed trail deposit only without logic; scripts deposit through ctx.deposit.
+    // Trails land on the pixel under the particle ('point' footprints: the cell's pixel).
+    if (inside && !results){
+      const d=point ? null : this.worldToDense(p.position), c=d ? d.cell : this._cellOfPoint(p.position);
+      if (c && this.blobArray[c[2]][c[1]][c[0]]!==null){
+        const [x,y,z]=c;
+        const k=d ? `${z}:${d.bx}:${d.by}` : `${x},${y},${z}`;
+        if (!updated.has(k)) updated.set(k,{x,y,z,d,count:0}); updated.get(k).count++;
       }
     }
   }
@@ -44,14 +106,22 @@ export async function updateParticles(particles, dt){
   for (const [,c] of updated){
     const inc=this.trailStrength * c.count;
     const vals=Object.fromEntries(this.schema.fieldNames.map(n=>[n,inc]));
-    await this.addDenseFromCell(c.z, c.x, c.y, vals);
+    if (!c.d){ await this._writeDenseCell(c.z, c.x, c.y, vals, true, false); continue; }
+    const fp={ x0:c.d.bx, y0:c.d.by, x1:c.d.bx+1, y1:c.d.by+1 };
+    await this._writeDenseRect(c.z, c.x, c.y, fp, [this._pixelDepositScale(this._cellFootprint(c.z, c.x, c.y))], vals, true, false);
   }
-  if (!this._flushHandle && this._dirtyLayers.size) this._flushHandle=setTimeout(()=>this._flushDirtyLayers(), 200);
+  await this.stepFields(dt);
+  if (!D) this._scheduleFlush();
 
   this.updateDispersion(dt);
   if (this._disposed || this._rev!==rev) return;
-  await this.updateVisualization();
+  this._emit(SDF_EVENTS.STEP, { dt, particles:N, ...(D ? { step:D.step } : {}) });
 
+  // saving never changes the simulation, but deterministic runs save on a step count, not the clock
+  if (D){
+    if (D.saveEvery && (D.step+1)%D.saveEvery===0){ this.saveBlobs(); this._scheduleFlush(); }
+    return;
+  }
   const now=performance.now();
   if (now - this._lastBlobSave > 2000){
     this.saveBlobs();
@@ -59,3 +129,48 @@ export async function updateParticles(particles, dt){
   }
 }
 
+
+// Values of every cell within one step of the given cells, for the logic field API.
+export async function _logicFieldSnapshot(cells){
+  const W=this.state.cellsX, H=this.state.cellsY, Z=this.effectiveCellsZ;
+  const F=this.schema.fieldNames.length;
+  const keys=new Map();
+  for (const c of cells){
+    if (!c) continue;
+    for (let dz=-1; dz<=1; dz++) for (let dy=-1; dy<=1; dy++) for (let dx=-1; dx<=1; dx++){
+      const x=c[0]+dx, y=c[1]+dy, z=c[2]+dz;
+      if (x<0||y<0||z<0||x>=W||y>=H||z>=Z) continue;
+      keys.set(`${x},${y},${z}`, [x,y,z]);
+    }
+  }
+  const zs=new Set(Array.from(keys.values(), k=>k[2]));
+  const layers=new Map(await Promise.all(Array.from(zs, async z=>[z, await this._ensureDenseLayer(z)])));
+  const out={};
+  for (const [k,[x,y,z]] of keys){
+    const L=layers.get(z), v=new Array(F);
+    for (let fi=0; fi<F; fi++) v[fi]=this._sampleCellSync(L, z, x, y, fi);
+    out[k]=v;
+  }
+  return {
+    fields:this.schema.fieldNames.slice(),
+    cellSize:[this.state.gridWidth/W, this.state.gridHeight/H, this.state.gridDepth/Z],
+    cells:out
+  };
+}
+
+// Applies queued ctx.deposit/ctx.consume writes; consumption never drives a dense pixel below zero.
+export async function _applyLogicDeposits(cells, deposits){
+  if (!deposits.length) return;
+  const W=this.state.cellsX, H=this.state.cellsY, Z=this.effectiveCellsZ;
+  const names=this.schema.fieldNames;
+  const sums=new Map();
+  for (const [i, fi, amount, dx, dy, dz] of deposits){
+    const c=cells[i]; if (!c || names[fi]==null) continue;
+    const x=c[0]+Math.max(-1,Math.min(1,dx)), y=c[1]+Math.max(-1,Math.min(1,dy)), z=c[2]+Math.max(-1,Math.min(1,dz));
+    if (x<0||y<0||z<0||x>=W||y>=H||z>=Z) continue;
+    const k=`${x},${y},${z}`;
+    if (!sums.has(k)) sums.set(k, { x,y,z, vals:{} });
+    const e=sums.get(k).vals; e[names[fi]]=(e[names[fi]]||0)+amount;
+  }
+  for (const { x,y,z, vals } of sums.values()) await this._writeDenseCell(z, x, y, vals, true, false, 0);
+}
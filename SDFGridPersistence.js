@@ -1,40 +1,175 @@
+// Grid state, logic, particles and sparse cell data.
+//
+// With a database (this._db) everything lives there:
+//   meta 'state' / 'logic'      : toStateJSON() / _logicJSON()
+//   'sparse_cells', key = z     : { cx, cy, cells:[{ x, y, particles:[{ o,v,q,d,t }], data }], ts }
+// Sparse records are written per layer and only for layers marked by _markSparse (cell edits,
+// dispersion, particle steps), so a save never serialises the whole grid.
+// Without one (storage 'none', or before `ready`) the old localStorage keys are used; whatever is
+// found there is moved into the database (and removed) the next time the grid opens it.
+// Stored records merge into the live tables when the database opens: cells edited through
+// setCellData before `ready`, and cells already holding particles, keep what they have.
+// loadState / loadLogic / loadBlobs / applyBlobs keep reading the localStorage format;
+// SDFGrid.loadStoredState(uid) reads state and logic from either place.
 import { lsSet, lsGet, updateRegistrySaved, logicKey, stateKey, blobsKey } from './utils.js';
+import { STORE_META, STORE_SPARSE } from './SDFGridConstants.js';
+import { normalizeUID, normalizeBucketName } from './SDFGridUtil.js';
+import { openStorage } from './SDFGridStorage.js';
+import { DEFAULT_INTERACTION } from './SDFGridNeighbors.js';
+
+const lsRemove=k=>{ try { globalThis.localStorage?.removeItem(k); } catch {} };
+
+// Drops the localStorage payloads of a grid (after they moved into its database).
+export function clearLocalStorage(uid){
+  for (const k of [stateKey(uid), logicKey(uid), blobsKey(uid)]) lsRemove(k);
+}
+
+const persist=(grid, key, v)=>grid._db.put(STORE_META, key, v).catch(e=>console.warn(`SDFGrid: saving ${key} failed`, e));
 
 export function saveState(){
-  lsSet(stateKey(this.uid), this.toStateJSON());
+  if (this._db) persist(this, 'state', this.toStateJSON());
+  else lsSet(stateKey(this.uid), this.toStateJSON());
   updateRegistrySaved(this.uid);
 }
 
+export function _logicJSON(){
+  return { enabled:this.logic.enabled, preset:this.logic.preset, forceScale:this.logic.forceScale, budgetMs:this.logic.budgetMs,
+    interaction:this.logic.interaction, code:this.logic.code };
+}
+
 export function saveLogic(){
-  const payload={ enabled:this.logic.enabled, preset:this.logic.preset, forceScale:this.logic.forceScale, code:this.logic.code };
-  lsSet(logicKey(this.uid), payload);
+  if (this._db) persist(this, 'logic', this._logicJSON());
+  else lsSet(logicKey(this.uid), this._logicJSON());
 }
 
+// Writes the sparse records of marked layers (all of them into localStorage without a database;
+// nothing while the database is still opening).
 export function saveBlobs(){
+  if (!this._db && this._dbPending) return Promise.resolve(); // marked layers are written once it opens
+  if (!this._db){
+    lsSet(blobsKey(this.uid), this._blobsJSON());
+    updateRegistrySaved(this.uid);
+    return Promise.resolve();
+  }
+  return this._flushSparse();
+}
+
+function cellJSON(grid, x, y, z){
+  const cell=(grid.blobArray[z] && grid.blobArray[z][y] && grid.blobArray[z][y][x]) ? grid.blobArray[z][y][x] : null;
+  const data=grid.dataTable[`${x},${y},${z}`];
+  if (!(cell && cell.length) && !data) return null;
+  const particles = cell && cell.length ? cell.map(p=>({
+    o:[p.offset.x,p.offset.y,p.offset.z],
+    v:[p.velocity.x,p.velocity.y,p.velocity.z],
+    q:[p.orientation.x,p.orientation.y,p.orientation.z,p.orientation.w],
+    d:(p.d!=null?p.d:1),
+    t:(p.t!=null?p.t:0)
+  })) : [];
+  return { x,y,z, particles, data };
+}
+
+export function _blobsJSON(){
   const sparse=[];
-  for (let z=0; z<this.effectiveCellsZ; z++){
-    for (let y=0; y<this.state.cellsY; y++){
-      for (let x=0; x<this.state.cellsX; x++){
-        const cell=(this.blobArray[z] && this.blobArray[z][y] && this.blobArray[z][y][x]) ? this.blobArray[z][y][x] : null;
-        const key=`${x},${y},${z}`; const data=this.dataTable[key];
-        if ((cell && cell.length) || data){
-          const particles = cell && cell.length ? cell.map(p=>({
-            o:[p.offset.x,p.offset.y,p.offset.z],
-            v:[p.velocity.x,p.velocity.y,p.velocity.z],
-            q:[p.orientation.x,p.orientation.y,p.orientation.z,p.orientation.w],
-            d:(p.d!=null?p.d:1),
-            t:(p.t!=null?p.t:0)
-          })) : [];
-          sparse.push({ x,y,z, particles, data });
+  for (let z=0; z<this.effectiveCellsZ; z++)
+    for (let y=0; y<this.state.cellsY; y++)
+      for (let x=0; x<this.state.cellsX; x++){ const c=cellJSON(this, x, y, z); if (c) sparse.push(c); }
+  return {
+    layout:{ w:this.state.gridWidth, h:this.state.gridHeight, d:this.state.gridDepth, cx:this.state.cellsX, cy:this.state.cellsY, cz:this.effectiveCellsZ },
+    envVariables:this.envVariables, data:sparse, ts:Date.now(), uid:this.uid
+  };
+}
+
+// Splits a blobs payload ({ layout, data }) into per-layer records: Map z -> record.
+export function sparseRecords(blobs){
+  const out=new Map();
+  for (const c of blobs?.data || []){
+    if (!c || typeof c.x!=='number' || typeof c.y!=='number' || !Number.isInteger(c.z)) continue;
+    let r=out.get(c.z);
+    if (!r) out.set(c.z, r={ cx:blobs.layout.cx, cy:blobs.layout.cy, cells:[], ts:blobs.ts || Date.now() });
+    r.cells.push({ x:c.x, y:c.y, particles:c.particles || [], data:c.data });
+  }
+  return out;
+}
+
+// Marks layer z (every layer, and stale records, when z is omitted) for the next saveBlobs.
+export function _markSparse(z){
+  this._dirtySparse ??= new Set();
+  if (z!=null){ this._dirtySparse.add(z|0); return; }
+  for (let i=0; i<this.effectiveCellsZ; i++) this._dirtySparse.add(i);
+  this._pruneSparse=true;
+}
+
+// Writes the records of marked layers; overlapping calls run one after another.
+export function _flushSparse(){
+  const run=async()=>{
+    const db=this._db;
+    if (!db || this._disposed || !this._dirtySparse?.size) return;
+    const prune=this._pruneSparse;
+    const recs=Array.from(this._dirtySparse, z=>{
+      const cells=[];
+      for (let y=0; y<this.state.cellsY; y++)
+        for (let x=0; x<this.state.cellsX; x++){
+          const c=cellJSON(this, x, y, z);
+          if (c) cells.push({ x, y, particles:c.particles, data:c.data });
         }
+      return [z, cells.length ? { cx:this.state.cellsX, cy:this.state.cellsY, cells, ts:Date.now() } : null];
+    });
+    this._dirtySparse.clear(); this._pruneSparse=false;
+    for (const [z, r] of recs){ if (r) await db.put(STORE_SPARSE, z, r); else await db.del(STORE_SPARSE, z); }
+    if (prune) for (const k of await db.keys(STORE_SPARSE)) if (!(k>=0 && k<this.effectiveCellsZ)) await db.del(STORE_SPARSE, k);
+    updateRegistrySaved(this.uid);
+  };
+  this._sparseFlush=(this._sparseFlush || Promise.resolve()).then(run).catch(e=>console.warn('SDFGrid: saving particles failed', e));
+  return this._sparseFlush;
+}
+
+// One-time move of the localStorage payloads into the database; the keys are removed once written.
+export async function _migrateLocalStorage(){
+  const db=this._db, moved=[];
+  const state=lsGet(stateKey(this.uid)), logic=lsGet(logicKey(this.uid)), blobs=loadBlobs(this.uid);
+  if (state){ await db.put(STORE_META, 'state', state); moved.push('state'); }
+  if (logic){ await db.put(STORE_META, 'logic', logic); moved.push('logic'); }
+  if (blobs){
+    for (const k of await db.keys(STORE_SPARSE)) await db.del(STORE_SPARSE, k);
+    for (const [z, r] of sparseRecords(blobs)) await db.put(STORE_SPARSE, z, r);
+    moved.push('particles');
+  }
+  if (!moved.length) return moved;
+  await db.put(STORE_META, 'ls_migrated', { at:Date.now(), moved });
+  clearLocalStorage(this.uid);
+  return moved;
+}
+
+// Applies the stored logic and sparse records after the database opened.
+export async function _loadPersisted(){
+  const L=await this._db.get(STORE_META, 'logic');
+  if (L && JSON.stringify(L)!==JSON.stringify(this._logicJSON())){
+    Object.assign(this.logic, {
+      enabled:!!L.enabled, preset:L.preset ?? this.logic.preset, forceScale:L.forceScale ?? this.logic.forceScale,
+      budgetMs:L.budgetMs ?? this.logic.budgetMs, interaction:{ ...DEFAULT_INTERACTION, ...L.interaction }, code:L.code ?? this.logic.code
+    });
+    this.compileLogic(this.logic.code);
+  }
+
+  const W=this.state.cellsX, H=this.state.cellsY, edited=this._preReadyEdits || new Set();
+  for (const z of await this._db.keys(STORE_SPARSE)){
+    const r=await this._db.get(STORE_SPARSE, z);
+    if (!r || r.cx!==W || r.cy!==H || !(z>=0 && z<this.effectiveCellsZ)) continue;
+    for (const { x, y, particles, data } of r.cells){
+      if (!(x>=0 && x<W && y>=0 && y<H)) continue;
+      const key=`${x},${y},${z}`;
+      if (Array.isArray(particles) && particles.length && !this.blobArray[z][y][x]?.length) this.blobArray[z][y][x]=particles.map(particleFromJSON);
+      if (data && typeof data==='object' && !edited.has(key)){
+        this.dataTable[key]={ ...data };
+        if (data.O2) this._maxO2=Math.max(this._maxO2, data.O2);
       }
     }
   }
-  lsSet(blobsKey(this.uid), {
-    layout:{ w:this.state.gridWidth, h:this.state.gridHeight, d:this.state.gridDepth, cx:this.state.cellsX, cy:this.state.cellsY, cz:this.effectiveCellsZ },
-    envVariables:this.envVariables, data:sparse, ts:Date.now(), uid:this.uid
-  });
-  updateRegistrySaved(this.uid);
+  // only layers with edits made before `ready` still need writing
+  const keep=new Set(Array.from(edited, k=>+k.slice(k.lastIndexOf(',')+1)));
+  for (const z of this._dirtySparse ?? []) if (!keep.has(z)) this._dirtySparse.delete(z);
+  this._pruneSparse=false;
+  if (keep.size) this._flushSparse();
 }
 
 export function loadState(uid){ return lsGet(stateKey(uid)); }
@@ -46,6 +181,30 @@ export function loadBlobs(uid){
   return { layout:saved.layout, envVariables:saved.envVariables || ['O2','CO2','H2O'], data:valid };
 }
 
+// -> { state, logic } from a live grid, the grid's database, or localStorage (older saves).
+export async function loadStoredState(uid, opts={}){
+  const id=normalizeUID(uid);
+  const live=this._instances?.get(id);
+  if (live) return { state:live.toStateJSON(), logic:live._logicJSON() };
+  const db=await openStorage(normalizeBucketName(id), opts.storage);
+  try {
+    return {
+      state:(db && await db.get(STORE_META, 'state')) || loadState(id),
+      logic:(db && await db.get(STORE_META, 'logic')) || loadLogic(id)
+    };
+  } finally { await db?.close(); }
+}
+
+function particleFromJSON(p){
+  return {
+    offset:new THREE.Vector3(p.o[0],p.o[1],p.o[2]),
+    velocity:new THREE.Vector3(p.v[0],p.v[1],p.v[2]),
+    orientation:new THREE.Quaternion(p.q[0],p.q[1],p.q[2],p.q[3]),
+    density:p.d!=null?p.d:1,
+    time:p.t!=null?p.t:0
+  };
+}
+
 export function applyBlobs(blobs){
   if (!blobs || !blobs.layout || !blobs.data ||
       blobs.layout.cx!==this.state.cellsX || blobs.layout.cy!==this.state.cellsY || blobs.layout.cz!==this.effectiveCellsZ){
@@ -62,13 +221,7 @@ export function applyBlobs(blobs){
     const {x,y,z,particles,data} = cell;
     if (x>=0 && x<this.state.cellsX && y>=0 && y<this.state.cellsY && z>=0 && z<this.effectiveCellsZ){
       if (particles && Array.isArray(particles)){
-        this.blobArray[z][y][x] = particles.map(p=>({
-          offset:new THREE.Vector3(p.o[0],p.o[1],p.o[2]),
-          velocity:new THREE.Vector3(p.v[0],p.v[1],p.v[2]),
-          orientation:new THREE.Quaternion(p.q[0],p.q[1],p.q[2],p.q[3]),
-          density:p.d!=null?p.d:1,
-          time:p.t!=null?p.t:0
-        }));
+        this.blobArray[z][y][x] = particles.map(particleFromJSON);
       }
       if (data && typeof data==='object'){
         const key=`${x},${y},${z}`; this.dataTable[key] = { ...data };
@@ -76,4 +229,5 @@ export function applyBlobs(blobs){
       }
     }
   });
+  this._markSparse();
 }
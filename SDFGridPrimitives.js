@@ -0,0 +1,217 @@
+// SDF primitive library and CSG shape trees for SDFGrid.
+//
+// A shape tree is plain JSON (kept in state.shapeTree, so saveState/toStateJSON round-trip it).
+// Coordinates are relative to the grid centre; any node may carry `at:[x,y,z]` to translate it.
+//   primitives: { type:'sphere', radius }
+//               { type:'box', size:[hx,hy,hz] }                 half extents
+//               { type:'roundedBox', size:[hx,hy,hz], radius }
+//               { type:'cylinder', radius, height, axis:'x'|'y'|'z' }   height = half length
+//               { type:'capsule', a:[x,y,z], b:[x,y,z], radius }
+//               { type:'torus', major, minor, axis }
+//               { type:'ellipsoid', radii:[rx,ry,rz] }
+//               { type:'plane', normal:[x,y,z], offset }        inside = below the plane
+//   operators:  { op:'union'|'intersect'|'subtract'|'smoothUnion', k, children:[...] }
+//               subtract removes every later child from the first; k = smoothUnion blend radius.
+
+export const SDF_PRIMITIVES = ['sphere','box','roundedBox','cylinder','capsule','torus','ellipsoid','plane'];
+export const SDF_OPERATORS  = ['union','intersect','subtract','smoothUnion'];
+
+const v3 = (a,d=0)=>Array.isArray(a) ? [+a[0]||0, +a[1]||0, +a[2]||0] : [d,d,d];
+
+// axis-permuted coordinates: returns [u,v,w] with w along the primitive's axis
+function alongAxis(axis, x,y,z){
+  if (axis==='x') return [y,z,x];
+  if (axis==='y') return [z,x,y];
+  return [x,y,z];
+}
+
+export function sdSphere(x,y,z, r){ return Math.hypot(x,y,z)-r; }
+
+export function sdBox(x,y,z, b){
+  const qx=Math.abs(x)-b[0], qy=Math.abs(y)-b[1], qz=Math.abs(z)-b[2];
+  return Math.hypot(Math.max(qx,0),Math.max(qy,0),Math.max(qz,0)) + Math.min(Math.max(qx,qy,qz),0);
+}
+
+export function sdRoundBox(x,y,z, b, r){
+  return sdBox(x,y,z, [b[0]-r, b[1]-r, b[2]-r]) - r;
+}
+
+export function sdCylinder(x,y,z, r, h, axis='z'){
+  const [u,v,w]=alongAxis(axis,x,y,z);
+  const dx=Math.hypot(u,v)-r, dy=Math.abs(w)-h;
+  return Math.min(Math.max(dx,dy),0) + Math.hypot(Math.max(dx,0),Math.max(dy,0));
+}
+
+export function sdCapsule(x,y,z, a, b, r){
+  const pax=x-a[0], pay=y-a[1], paz=z-a[2];
+  const bax=b[0]-a[0], bay=b[1]-a[1], baz=b[2]-a[2];
+  const bb=bax*bax+bay*bay+baz*baz;
+  const h=bb>0 ? Math.max(0, Math.min(1, (pax*bax+pay*bay+paz*baz)/bb)) : 0;
+  return Math.hypot(pax-bax*h, pay-bay*h, paz-baz*h) - r;
+}
+
+export function sdTorus(x,y,z, R, r, axis='z'){
+  const [u,v,w]=alongAxis(axis,x,y,z);
+  return Math.hypot(Math.hypot(u,v)-R, w) - r;
+}
+
+// Bound-corrected ellipsoid approximation (exact on the axes, conservative elsewhere).
+export function sdEllipsoid(x,y,z, rad){
+  const k0=Math.hypot(x/rad[0], y/rad[1], z/rad[2]);
+  const k1=Math.hypot(x/(rad[0]*rad[0]), y/(rad[1]*rad[1]), z/(rad[2]*rad[2]));
+  return k1>0 ? k0*(k0-1)/k1 : -Math.min(rad[0],rad[1],rad[2]);
+}
+
+export function sdPlane(x,y,z, n, d){
+  const L=Math.hypot(n[0],n[1],n[2]) || 1;
+  return (x*n[0]+y*n[1]+z*n[2])/L - d;
+}
+
+export function opSmoothUnion(a, b, k){
+  if (!(k>0)) return Math.min(a,b);
+  const h=Math.max(0, Math.min(1, 0.5+0.5*(b-a)/k));
+  return b+(a-b)*h - k*h*(1-h);
+}
+
+export function evalShape(node, x,y,z){
+  if (!node) return Infinity;
+  if (node.at){ x-=+node.at[0]||0; y-=+node.at[1]||0; z-=+node.at[2]||0; }
+  if (node.op){
+    const ch=node.children || [];
+    if (!ch.length) return Infinity;
+    let d=evalShape(ch[0], x,y,z);
+    for (let i=1;i<ch.length;i++){
+      const e=evalShape(ch[i], x,y,z);
+      switch (node.op){
+        case 'union':       d=Math.min(d,e); break;
+        case 'intersect':   d=Math.max(d,e); break;
+        case 'subtract':    d=Math.max(d,-e); break;
+        case 'smoothUnion': d=opSmoothUnion(d,e,+node.k||0); break;
+      }
+    }
+    return d;
+  }
+  switch (node.type){
+    case 'sphere':     return sdSphere(x,y,z, +node.radius||0);
+    case 'box':        return sdBox(x,y,z, v3(node.size));
+    case 'roundedBox': return sdRoundBox(x,y,z, v3(node.size), +node.radius||0);
+    case 'cylinder':   return sdCylinder(x,y,z, +node.radius||0, +node.height||0, node.axis);
+    case 'capsule':    return sdCapsule(x,y,z, v3(node.a), v3(node.b), +node.radius||0);
+    case 'torus':      return sdTorus(x,y,z, +node.major||0, +node.minor||0, node.axis);
+    case 'ellipsoid':  return sdEllipsoid(x,y,z, v3(node.radii,1));
+    case 'plane':      return sdPlane(x,y,z, v3(node.normal), +node.offset||0);
+  }
+  return Infinity;
+}
+
+// Throws on malformed trees so bad state is caught when it is set rather than per sample.
+export function validateShape(node, path='shapeTree'){
+  if (!node || typeof node!=='object') throw new Error(`${path}: expected a shape node`);
+  if (node.at!=null && (!Array.isArray(node.at) || node.at.length!==3)) throw new Error(`${path}.at: expected [x,y,z]`);
+  if (node.op){
+    if (!SDF_OPERATORS.includes(node.op)) throw new Error(`${path}.op: unknown operator '${node.op}'`);
+    if (!Array.isArray(node.children) || !node.children.length) throw new Error(`${path}.children: expected a non-empty array`);
+    node.children.forEach((c,i)=>validateShape(c, `${path}.children[${i}]`));
+    return node;
+  }
+  if (!SDF_PRIMITIVES.includes(node.type)) throw new Error(`${path}.type: unknown primitive '${node.type}'`);
+  return node;
+}
+
+// Primitive sized to fill the grid box, used when shapeType names a primitive directly.
+export function defaultPrimitive(type, state){
+  const hx=state.gridWidth/2, hy=state.gridHeight/2, hz=state.gridDepth/2;
+  const m=Math.min(hx,hy,hz);
+  switch (type){
+    case 'box':        return { type, size:[hx,hy,hz] };
+    case 'roundedBox': return { type, size:[hx,hy,hz], radius:m*0.25 };
+    case 'cylinder':   return { type, radius:Math.min(hx,hy), height:hz, axis:'z' };
+    case 'capsule':    return { type, a:[0,0,-(hz-m/2)], b:[0,0,hz-m/2], radius:m/2 };
+    case 'torus':      return { type, major:Math.min(hx,hy)*0.65, minor:Math.min(hx,hy)*0.3, axis:'z' };
+    case 'ellipsoid':  return { type, radii:[hx,hy,hz] };
+    case 'plane':      return { type, normal:[0,0,1], offset:0 };
+    case 'sphere':     return { type, radius:Math.max(state.gridWidth, state.gridHeight, state.gridDepth)/4 };
+  }
+  return null;
+}
+
+// ---- analytic gradients ----
+// evalShapeGrad returns { d, g:[gx,gy,gz] } with g the (unit, where defined) gradient of evalShape.
+
+const norm3=(x,y,z)=>{ const L=Math.hypot(x,y,z); return L>1e-12 ? [x/L,y/L,z/L] : [0,0,0]; };
+
+function fromAxis(axis, u,v,w){
+  if (axis==='x') return [w,u,v];
+  if (axis==='y') return [v,w,u];
+  return [u,v,w];
+}
+
+export function gradBox(x,y,z, b){
+  const qx=Math.abs(x)-b[0], qy=Math.abs(y)-b[1], qz=Math.abs(z)-b[2];
+  const sx=x<0?-1:1, sy=y<0?-1:1, sz=z<0?-1:1;
+  if (qx>0 || qy>0 || qz>0){
+    const [a,b2,c]=norm3(Math.max(qx,0), Math.max(qy,0), Math.max(qz,0));
+    return [a*sx, b2*sy, c*sz];
+  }
+  if (qx>=qy && qx>=qz) return [sx,0,0];
+  if (qy>=qz) return [0,sy,0];
+  return [0,0,sz];
+}
+
+function gradPrimitive(node, x,y,z){
+  switch (node.type){
+    case 'sphere': return norm3(x,y,z);
+    case 'box':    return gradBox(x,y,z, v3(node.size));
+    case 'roundedBox': { const b=v3(node.size), r=+node.radius||0; return gradBox(x,y,z, [b[0]-r,b[1]-r,b[2]-r]); }
+    case 'cylinder': {
+      const [u,v,w]=alongAxis(node.axis,x,y,z);
+      const rl=Math.hypot(u,v), ru=rl>1e-12?u/rl:0, rv=rl>1e-12?v/rl:0, sw=w<0?-1:1;
+      const dx=rl-(+node.radius||0), dy=Math.abs(w)-(+node.height||0);
+      let gr, ga;
+      if (dx>0 || dy>0){ const L=Math.hypot(Math.max(dx,0),Math.max(dy,0))||1; gr=Math.max(dx,0)/L; ga=Math.max(dy,0)/L; }
+      else if (dx>dy){ gr=1; ga=0; } else { gr=0; ga=1; }
+      return fromAxis(node.axis, ru*gr, rv*gr, sw*ga);
+    }
+    case 'capsule': {
+      const a=v3(node.a), b=v3(node.b);
+      const bax=b[0]-a[0], bay=b[1]-a[1], baz=b[2]-a[2], bb=bax*bax+bay*bay+baz*baz;
+      const h=bb>0 ? Math.max(0, Math.min(1, ((x-a[0])*bax+(y-a[1])*bay+(z-a[2])*baz)/bb)) : 0;
+      return norm3(x-a[0]-bax*h, y-a[1]-bay*h, z-a[2]-baz*h);
+    }
+    case 'torus': {
+      const [u,v,w]=alongAxis(node.axis,x,y,z);
+      const rl=Math.hypot(u,v), ru=rl>1e-12?u/rl:0, rv=rl>1e-12?v/rl:0;
+      const [qr,qw]=[rl-(+node.major||0), w];
+      const L=Math.hypot(qr,qw)||1;
+      return fromAxis(node.axis, ru*qr/L, rv*qr/L, qw/L);
+    }
+    case 'ellipsoid': { const r=v3(node.radii,1); return norm3(x/(r[0]*r[0]), y/(r[1]*r[1]), z/(r[2]*r[2])); }
+    case 'plane':     return norm3(...v3(node.normal));
+  }
+  return [0,0,0];
+}
+
+export function evalShapeGrad(node, x,y,z){
+  if (!node) return { d:Infinity, g:[0,0,0] };
+  if (node.at){ x-=+node.at[0]||0; y-=+node.at[1]||0; z-=+node.at[2]||0; }
+  if (!node.op) return { d:evalShape({ ...node, at:null }, x,y,z), g:gradPrimitive(node, x,y,z) };
+  const ch=node.children || [];
+  if (!ch.length) return { d:Infinity, g:[0,0,0] };
+  let cur=evalShapeGrad(ch[0], x,y,z);
+  for (let i=1;i<ch.length;i++){
+    const e=evalShapeGrad(ch[i], x,y,z);
+    switch (node.op){
+      case 'union':     if (e.d<cur.d) cur=e; break;
+      case 'intersect': if (e.d>cur.d) cur=e; break;
+      case 'subtract':  if (-e.d>cur.d) cur={ d:-e.d, g:[-e.g[0],-e.g[1],-e.g[2]] }; break;
+      case 'smoothUnion': {
+        const k=+node.k||0;
+        if (!(k>0)){ if (e.d<cur.d) cur=e; break; }
+        const h=Math.max(0, Math.min(1, 0.5+0.5*(e.d-cur.d)/k));
+        cur={ d:opSmoothUnion(cur.d, e.d, k), g:[0,1,2].map(j=>e.g[j]+(cur.g[j]-e.g[j])*h) };
+        break;
+      }
+    }
+  }
+  return cur;
+}
@@ -0,0 +1,235 @@
+// Optional THREE renderer for SDFGrid: a wireframe layer lattice plus one instanced box per
+// interior cell, coloured by grid.fieldForViz. The grid itself is headless; a renderer
+// attaches to it and follows its events:
+//   'reshape' / 'move'                          -> rebuild meshes
+//   'step' / 'cellschange' / 'schemachange' / 'restore' -> recolour (coalesced, never awaited by the grid)
+//   'dispose'                                   -> remove from the scene
+//
+//   const r=new InstancedGridRenderer(scene); grid.attachRenderer(r);
+// Grids constructed with a scene (and without params.headless) attach one automatically.
+// Colours follow grid.fieldStyleFor(field) (SDFGridColormaps.js); value-driven alpha goes through
+// a per-instance opacity attribute that scales the box material's opacity.
+import { SDF_EVENTS } from './SDFGridEvents.js';
+import { sampleColormap } from './SDFGridColormaps.js';
+
+// The original blue-green-red ramp, now the 'classic' colormap.
+export function valueToColor(norm){
+  const [r,g,b]=sampleColormap('classic', norm);
+  return new THREE.Color(r,g,b);
+}
+
+// MeshBasicMaterial with an `instanceOpacity` attribute multiplied into the fragment alpha.
+function instanceOpacityMaterial(params){
+  const m=new THREE.MeshBasicMaterial(params);
+  m.onBeforeCompile=sh=>{
+    sh.vertexShader=sh.vertexShader
+      .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;')
+      .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+    sh.fragmentShader=sh.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+      .replace('vec4 diffuseColor = vec4( diffuse, opacity );', 'vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );');
+  };
+  return m;
+}
+
+function disposeGroup(g){
+  g.traverse(o=>{ if(o.geometry)o.geometry.dispose(); if(o.material)o.material.dispose(); });
+}
+
+export class InstancedGridRenderer {
+  constructor(scene){
+    this.scene = scene;
+    this.grid = null;
+    this.group = null;
+    this.instancedMesh = null;
+    this.visible = true;
+    this._gen = 0;          // bumped on rebuild/detach; stale refreshes bail out
+    this._refreshing = null;
+    this._refreshAgain = false;
+    this._listeners = [];
+  }
+
+  attach(grid){
+    if (this.grid) this.detach();
+    this.grid = grid;
+    const on=(type, fn)=>{ grid.addEventListener(type, fn); this._listeners.push([type, fn]); };
+    const rebuild=()=>this.rebuild(), refresh=()=>{ this.refresh(); };
+    on(SDF_EVENTS.RESHAPE, rebuild);
+    on(SDF_EVENTS.MOVE, rebuild);
+    on(SDF_EVENTS.STEP, refresh);
+    on(SDF_EVENTS.CELLS, refresh);
+    on(SDF_EVENTS.SCHEMA, refresh);
+    on(SDF_EVENTS.RESTORE, refresh);
+    on(SDF_EVENTS.NUCLEUS, refresh);
+    on(SDF_EVENTS.DISPOSE, ()=>this.detach());
+    // nuclei are only final once storage has loaded
+    const gen=this._gen;
+    Promise.resolve(grid.ready).then(()=>{ if (this.grid===grid && this._gen===gen) this.rebuild(); })
+      .catch(e=>console.error('InstancedGridRenderer: rebuild failed', e));
+    return this;
+  }
+
+  detach(){
+    this._gen++;
+    for (const [type, fn] of this._listeners) this.grid?.removeEventListener(type, fn);
+    this._listeners=[];
+    this._clear();
+    this.grid=null;
+  }
+
+  setVisible(v){
+    this.visible=!!v;
+    if (this.group) this.group.visible=this.visible;
+  }
+
+  dispose(){ this.detach(); }
+
+  _clear(){
+    if (this.group){ this.scene.remove(this.group); disposeGroup(this.group); }
+    this.group=null; this.instancedMesh=null;
+  }
+
+  rebuild(){
+    const grid=this.grid;
+    if (!grid || grid._disposed) return;
+    this._gen++;
+    this._clear();
+
+    const S=grid.state, P=grid.position;
+    const group=new THREE.Group();
+
+    const sizeX=S.gridWidth/S.cellsX;
+    const sizeZ=S.gridDepth/S.cellsZ;
+    const halfW=S.gridWidth/2, halfD=S.gridDepth/2;
+    const yBase=P.y - S.gridHeight/2;
+    const yStep=S.gridHeight/grid.effectiveCellsZ;
+
+    const geo=new THREE.BufferGeometry(), verts=[], norms=[], cols=[], idxs=[];
+    const col=new THREE.Color();
+    for (let zL=0; zL<=grid.effectiveCellsZ; zL++){
+      const y=yBase - zL*yStep;
+      for (let i=0;i<=S.cellsX;i++){
+        const x=P.x - halfW + i*sizeX;
+        for (let j=0;j<=S.cellsZ;j++){
+          const z=P.z - halfD + j*sizeZ;
+          verts.push(x,y,z); norms.push(0,1,0);
+          col.setRGB(1,1,1,THREE.SRGBColorSpace); cols.push(col.r,col.g,col.b);
+        }
+      }
+    }
+    const stride=S.cellsZ+1;
+    for (let zL=0; zL<grid.effectiveCellsZ; zL++){
+      const off=zL*(S.cellsX+1)*(S.cellsZ+1);
+      for (let i=0;i<S.cellsX;i++){
+        for (let j=0;j<S.cellsZ;j++){
+          const a=off+i*stride+(j+1), b=off+i*stride+j, c=off+(i+1)*stride+j, d=off+(i+1)*stride+(j+1);
+          idxs.push(a,b,d, b,c,d);
+        }
+      }
+    }
+    geo.setIndex(idxs);
+    geo.setAttribute('position', new THREE.Float32BufferAttribute(verts,3));
+    geo.setAttribute('normal',   new THREE.Float32BufferAttribute(norms,3));
+    geo.setAttribute('color',    new THREE.Float32BufferAttribute(cols,3));
+    const mat=new THREE.MeshBasicMaterial({ vertexColors:true, side:THREE.DoubleSide, transparent:true, opacity:0.12, wireframe:true });
+    group.add(new THREE.Mesh(geo,mat));
+
+    const boxG=new THREE.BoxGeometry(sizeX, S.gridHeight/S.cellsY, S.gridDepth/grid.effectiveCellsZ);
+    const boxM=instanceOpacityMaterial({ opacity:0.2, transparent:true, wireframe:true });
+    const maxInst=S.cellsX*S.cellsY*grid.effectiveCellsZ;
+    boxG.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(maxInst).fill(1), 1));
+    const imesh=new THREE.InstancedMesh(boxG, boxM, maxInst);
+    let id=0; const map=new Map();
+
+    const halfWidth=S.gridWidth/2, halfHeight=S.gridHeight/2, halfDepth=S.gridDepth/2;
+    for (let z2=0; z2<grid.effectiveCellsZ; z2++){
+      for (let y2=0; y2<S.cellsY; y2++){
+        for (let x2=0; x2<S.cellsX; x2++){
+          const cx=x2*sizeX + sizeX/2 - halfWidth + P.x;
+          const cy=y2*(S.gridHeight/S.cellsY) + (S.gridHeight/S.cellsY)/2 - halfHeight + P.y;
+          const cz=z2*(S.gridDepth/grid.effectiveCellsZ) + (S.gridDepth/grid.effectiveCellsZ)/2 - halfDepth + P.z;
+          if (grid.sdf(new THREE.Vector3(cx,cy,cz), z2) < 0){
+            imesh.setMatrixAt(id, new THREE.Matrix4().setPosition(cx,cy,cz));
+            map.set(`${x2},${y2},${z2}`, id);
+            id++;
+          }
+        }
+      }
+    }
+    imesh.count=id;
+    imesh.instanceMap=map;
+    group.add(imesh);
+    group.visible=this.visible;
+
+    this.instancedMesh=imesh;
+    this.group=group;
+    this.scene.add(group);
+
+    this.refresh();
+  }
+
+  // Recolours instances from the current field; overlapping calls collapse into one follow-up.
+  refresh(){
+    if (this._refreshing){ this._refreshAgain=true; return this._refreshing; }
+    // layers stay pinned in the cache (SDFGridCache.js) while they are being read
+    this._refreshing=(this.grid ? this.grid._withPinnedLayers(load=>this._recolor(load)) : this._recolor()).finally(()=>{
+      this._refreshing=null;
+      if (this._refreshAgain){ this._refreshAgain=false; this.refresh(); }
+    });
+    return this._refreshing;
+  }
+
+  async _recolor(load){
+    const grid=this.grid, im=this.instancedMesh, gen=this._gen;
+    if (!grid || grid._disposed || !im || !im.instanceMap) return;
+
+    const field=grid.fieldForViz;
+    const fi=grid.schema.index.get(field) ?? 0;
+
+    const needZ=new Set();
+    for (const [key] of im.instanceMap){ const z=Number(key.split(',')[2]); needZ.add(z); }
+    const layers=new Map(await Promise.all(Array.from(needZ, async z=>[z, await load(z)])));
+    if (this._gen!==gen || grid._disposed) return;
+
+    const ids=[], vals=[];
+    for (const [key,id] of im.instanceMap){
+      const [x,y,z]=key.split(',').map(Number);
+      const layer=layers.get(z);
+      ids.push(id); vals.push(layer ? grid._sampleCellSync(layer, z, x, y, fi) : 0);
+    }
+    const range=grid.fieldRange(field, vals);
+    (grid._lastRanges ??= {})[field]=range;
+
+    const col=new THREE.Color(), op=im.geometry.getAttribute('instanceOpacity');
+    for (let i=0;i<ids.length;i++){
+      const c=grid.colorForValue(field, vals[i], range);
+      im.setColorAt(ids[i], col.setRGB(c.r, c.g, c.b));
+      op?.setX(ids[i], c.a);
+    }
+    if (im.instanceColor) im.instanceColor.needsUpdate=true;
+    if (op) op.needsUpdate=true;
+  }
+}
+
+// ---- grid methods ----
+
+export function attachRenderer(renderer){
+  if (this.renderer && this.renderer!==renderer) this.renderer.detach();
+  this.renderer=renderer;
+  renderer.attach(this);
+  return renderer;
+}
+
+export function detachRenderer(){
+  const r=this.renderer;
+  this.renderer=null;
+  r?.detach();
+  return r;
+}
+
+// Kept for callers of the pre-adapter API; the first two are no-ops on headless grids.
+export function visualizeGrid(){ this.renderer?.rebuild(); }
+export async function updateVisualization(){ await this.renderer?.refresh(); }
+export function _valueToColor(norm){ return valueToColor(norm); }
+
+export function setVisible(v){ this.renderer?.setVisible(v); }
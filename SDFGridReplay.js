@@ -0,0 +1,178 @@
+// Deterministic stepping, recording and replay (regression tests for behaviour scripts).
+//
+//   grid.setDeterministic({ seed:42, dt:1/60 })     or params.deterministic = { seed, dt }
+//   await grid.advance(particles, elapsed, { onStep })   fixed-timestep driver for frame loops
+//   await grid.startRecording();  ...steps...;  const rec=await grid.stopRecording();
+//   const report=await SDFGrid.replayRecording(rec);    -> { ok, steps, mismatches, layers }
+//
+// Deterministic mode: updateParticles always advances by the fixed dt; logic gets a seeded
+// Math.random / ctx.random and Date.now in simulation time (SDFGridSandbox.js); dispersion and
+// periodic saves run on simulation time and step counts instead of the wall clock. The logic frame
+// budget becomes a safety net (budgetMs, default 10 s): a run that hits it is not reproducible.
+// Lossy tile codecs (params.codec.quant) break determinism once a layer is evicted and reloaded.
+//
+// Recording: { format:'sdfgrid-recording', version, uid, created,
+//   config:{ seed, dt, budgetMs, step, time, lastDispersion, transportOptions },
+//   snapshot,                       initial grid (SDFGrid.exportSnapshot: layers, state, logic, particles)
+//   steps:[{ dt, particles:Float64Array([px,py,pz, vx,vy,vz]...), data?, v }],  inputs and the velocity checksum
+//     data: per particle, the own properties logic sees on ctx.p (null without any); omitted when none has one
+//   final:{ step, layers:[checksum per layer] } }
+// Particle positions are inputs (the caller integrates them); manual edits between steps are
+// not recorded.
+import { particleData } from './SDFGridParticles.js';
+
+export const RECORDING_VERSION = 1;
+
+const DEFAULTS = { seed:1, dt:1/60, budgetMs:10000 };
+
+// mulberry32-style mix of a seed and a step index -> u32
+export function stepSeed(seed, step){
+  let t=((seed>>>0) ^ Math.imul(step+1, 0x85EBCA6B))>>>0;
+  t=Math.imul(t^(t>>>16), 0x7FEB352D);
+  t=Math.imul(t^(t>>>15), 0x846CA68B);
+  return (t^(t>>>16))>>>0;
+}
+
+// FNV-1a over 32-bit words
+function hashWords(h, words){
+  for (let i=0; i<words.length; i++) h=Math.imul(h ^ words[i], 16777619);
+  return h;
+}
+const hex = h=>(h>>>0).toString(16).padStart(8, '0');
+
+function layerChecksum(layer){
+  const tpl=layer.template, tis=Array.from(layer.tiles.keys()).sort((a,b)=>a-b);
+  let h=0x811c9dc5;
+  for (const ti of tis){
+    const t=layer.tiles.get(ti);
+    // tiles still equal to the template read the same as absent ones
+    if (tpl ? t.every((v,i)=>Object.is(v, tpl[i])) : t.every(v=>Object.is(v, 0))) continue;
+    h=hashWords(Math.imul(h ^ ti, 16777619), new Uint32Array(t.buffer, t.byteOffset, t.length));
+  }
+  return hex(h);
+}
+
+function packParticles(particles){
+  const out=new Float64Array(particles.length*6);
+  particles.forEach((p,i)=>{ p.position.toArray(out, 6*i); p.velocity.toArray(out, 6*i+3); });
+  return out;
+}
+
+function packData(particles){
+  const out=particles.map(particleData);
+  return out.some(d=>d) ? out : null;
+}
+
+function velocityChecksum(particles){
+  const v=new Float64Array(particles.length*3);
+  particles.forEach((p,i)=>p.velocity.toArray(v, 3*i));
+  return hex(hashWords(0x811c9dc5, new Uint32Array(v.buffer)));
+}
+
+export function setDeterministic(opts=true){
+  if (opts===false || opts?.enabled===false){
+    if (this.determinism) this.determinism.enabled=false;
+    return this.determinism || null;
+  }
+  const o=opts===true ? {} : opts, cur=this.determinism || DEFAULTS;
+  const dt=o.dt>0 ? +o.dt : cur.dt;
+  this.determinism={
+    enabled:true, seed:(o.seed ?? cur.seed)>>>0, dt, budgetMs:o.budgetMs>0 ? +o.budgetMs : cur.budgetMs,
+    saveEvery:o.saveEvery ?? Math.max(1, Math.round(2/dt)), step:o.step|0, time:+o.time || 0
+  };
+  this._lastDispersionUpdate=o.lastDispersion ?? -Infinity;
+  this._fixedAcc=0;
+  return this.determinism;
+}
+
+// Runs as many fixed steps as `elapsed` seconds cover (at most maxSteps; the rest of a backlog is
+// dropped). onStep(particles, dt) runs after each step, e.g. to integrate positions.
+export async function advance(particles, elapsed, { maxSteps=8, onStep=null }={}){
+  const D=this.determinism;
+  if (!D?.enabled){ await this.updateParticles(particles, elapsed); onStep?.(particles, elapsed); return 1; }
+  this._fixedAcc=(this._fixedAcc || 0)+Math.max(0, +elapsed || 0);
+  let n=0;
+  while (this._fixedAcc>=D.dt && n<maxSteps){
+    await this.updateParticles(particles, D.dt);
+    onStep?.(particles, D.dt);
+    this._fixedAcc-=D.dt; n++;
+  }
+  if (n===maxSteps) this._fixedAcc=Math.min(this._fixedAcc, D.dt);
+  return n;
+}
+
+// Runs one deterministic step (run) and advances the step counter and clock; records it if recording.
+export async function _deterministicStep(particles, run){
+  const D=this.determinism, input=this._recording ? packParticles(particles) : null;
+  const data=input ? packData(particles) : null;
+  await run();
+  if (this._disposed) return;
+  if (input) this._recording.steps.push({ dt:D.dt, particles:input, ...(data ? { data } : {}), v:velocityChecksum(particles) });
+  D.step++; D.time+=D.dt;
+}
+
+// Checksum per layer of the dense overlay (bit-exact; tiles equal to the template are skipped).
+export async function layerChecksums(){
+  const out=[];
+  for (let z=0; z<this.effectiveCellsZ; z++) out.push(layerChecksum(await this._ensureDenseLayer(z)));
+  return out;
+}
+
+export async function startRecording(){
+  if (!this.determinism?.enabled) throw new Error('startRecording: enable setDeterministic() first');
+  await this.ready;
+  const D=this.determinism;
+  const snapshot=await this.constructor.exportSnapshot(this.uid);
+  this._recording={
+    format:'sdfgrid-recording', version:RECORDING_VERSION, uid:this.uid, created:Date.now(),
+    config:{ seed:D.seed, dt:D.dt, budgetMs:D.budgetMs, step:D.step, time:D.time,
+      lastDispersion:this._lastDispersionUpdate, transportOptions:{ ...this.transportOptions } },
+    snapshot:snapshot instanceof ArrayBuffer ? snapshot : await snapshot.arrayBuffer(),
+    steps:[], final:null
+  };
+  return this._recording;
+}
+
+export async function stopRecording(){
+  const rec=this._recording;
+  if (!rec) return null;
+  this._recording=null;
+  rec.final={ step:this.determinism.step, layers:await this.layerChecksums() };
+  return rec;
+}
+
+// Rebuilds the recorded grid under a scratch uid (in-memory storage by default), replays every
+// step and compares velocity checksums per step and layer checksums at the end.
+export async function replayRecording(rec, opts={}){
+  if (rec?.format!=='sdfgrid-recording') throw new Error('replayRecording: not a recording');
+  if (rec.version>RECORDING_VERSION) throw new Error(`replayRecording: unsupported version ${rec.version}`);
+  const uid=opts.uid ?? `${rec.uid}-replay`, storage=opts.storage ?? 'memory';
+  const { state:s }=await this.importSnapshot(rec.snapshot, { uid, storage });
+  const g=new this(uid, null, {
+    ...s?.state, position:s?.position, envVariables:s?.envVariables, trailStrength:s?.trailStrength, decayRate:s?.decayRate,
+    footprint:s?.footprint, fieldTransport:s?.fieldTransport, transportOptions:rec.config.transportOptions, storage, headless:true
+  });
+  try {
+    await g.ready;
+    g.setDeterministic({ ...rec.config, saveEvery:0 });
+    const mismatches=[];
+    for (let i=0; i<rec.steps.length; i++){
+      const S=rec.steps[i], P=S.particles;
+      const particles=Array.from({ length:P.length/6 }, (_,k)=>({
+        ...S.data?.[k],
+        position:new THREE.Vector3(P[6*k], P[6*k+1], P[6*k+2]), velocity:new THREE.Vector3(P[6*k+3], P[6*k+4], P[6*k+5])
+      }));
+      await g.updateParticles(particles, S.dt);
+      const v=velocityChecksum(particles);
+      if (v!==S.v) mismatches.push({ step:rec.config.step+i, expected:S.v, got:v });
+    }
+    const got=await g.layerChecksums();
+    const layers=(rec.final?.layers || []).map((h, z)=>({ z, expected:h, got:got[z] ?? null, ok:h===got[z] }));
+    return {
+      ok:!mismatches.length && layers.every(l=>l.ok) && got.length===layers.length,
+      steps:rec.steps.length, mismatches, layers, grid:opts.keep ? g : null
+    };
+  } finally {
+    if (!opts.keep) g.dispose();
+  }
+}
@@ -0,0 +1,213 @@
+// Field-preserving resampling of cell data when updateGrid changes the layout.
+//
+//   await grid.updateGrid({ cellsX:64, resample:'conservative' })   -> report
+//   params.resample = 'nearest' | 'bilinear' | 'trilinear' | 'conservative'
+//                   | { method, clip:'shape'|'bounds', limit:1000 }
+//
+// Every schema field of the dense overlay and every numeric value of the sparse table is carried
+// across in world space (cell centres; position, extent, cell counts and fidelity may all change):
+//   nearest      : the old cell containing the new cell's centre
+//   bilinear     : linear within a layer, nearest layer
+//   trilinear    : linear across layers as well (edge cells extend half a cell)
+//   conservative : overlap-weighted average, so Σ value·cell volume is kept where old and new overlap
+// Dense values are resampled relative to each field's default. With clip 'shape' (default) new
+// cells outside the new shape stay empty; 'bounds' only drops what leaves the grid.
+// Non-numeric sparse values (strings, booleans) move to the new cell holding the old cell's centre;
+// where several old cells land in one new cell the last (highest index) wins.
+//
+// Report: { method, clip, dense:{ [field]:{ before, after, clipped } }, sparse:{ ... },
+//   cells:[{ x,y,z, dense:{ [field]:v }, sparse:{ [key]:v } }], truncated }   (sparse includes non-numeric values)
+// before / after / clipped are totals of value × cell volume; `cells` lists old cells (old indices)
+// whose centre fell outside the new grid or shape, with the values that were dropped.
+import { DenseLayer, tileKey } from './SDFGridTiles.js';
+import { STORE_LAYER, STORE_LMETA, STORE_TILES } from './SDFGridConstants.js';
+
+export const RESAMPLE_METHODS = ['nearest', 'bilinear', 'trilinear', 'conservative'];
+
+export function normalizeResample(r){
+  const o={ method:'nearest', clip:'shape', limit:1000, ...(typeof r==='string' ? { method:r } : r) };
+  if (!RESAMPLE_METHODS.includes(o.method)) throw new Error(`resample: unknown method '${o.method}'`);
+  if (o.clip!=='shape' && o.clip!=='bounds') throw new Error(`resample: unknown clip '${o.clip}'`);
+  return o;
+}
+
+// World-space cell layout: n cells per axis from origin (min corner), cell size s.
+export function cellLayout(state, layers, position){
+  return {
+    n:[state.cellsX, state.cellsY, layers],
+    origin:[position.x-state.gridWidth/2, position.y-state.gridHeight/2, position.z-state.gridDepth/2],
+    size:[state.gridWidth/state.cellsX, state.gridHeight/state.cellsY, state.gridDepth/layers]
+  };
+}
+
+// Per new index along one axis: [[old index, weight], ...]
+function axisWeights(method, src, dst, a){
+  const ns=src.n[a], os=src.origin[a], ss=src.size[a], nd=dst.n[a], od=dst.origin[a], sd=dst.size[a];
+  const out=new Array(nd);
+  for (let i=0; i<nd; i++){
+    const c=od+(i+0.5)*sd, t=(c-os)/ss;
+    if (method==='conservative'){
+      const c0=od+i*sd, c1=c0+sd, w=[];
+      for (let j=Math.max(0, Math.floor((c0-os)/ss)); j<ns && os+j*ss<c1; j++){
+        const ov=Math.min(c1, os+(j+1)*ss)-Math.max(c0, os+j*ss);
+        if (ov>0) w.push([j, ov/sd]);
+      }
+      out[i]=w;
+    } else if (method==='nearest'){
+      const j=Math.floor(t);
+      out[i]=j>=0 && j<ns ? [[j, 1]] : [];
+    } else {
+      const u=t-0.5;
+      if (u<-0.5 || u>ns-0.5) out[i]=[];
+      else if (u<=0) out[i]=[[0, 1]];
+      else if (u>=ns-1) out[i]=[[ns-1, 1]];
+      else { const j=Math.floor(u), f=u-j; out[i]=f>0 ? [[j, 1-f], [j+1, f]] : [[j, 1]]; }
+    }
+  }
+  return out;
+}
+
+// Resamples F values per cell (index ((z*ny+y)*nx+x)*F+fi) from layout src to dst.
+// mask(z) -> Uint8Array(nx*ny) of new cells that may hold values, or null for all.
+// The new cell [x,y,z] holding old cell (x,y,z)'s centre; null outside the new grid or mask.
+function landingCell(src, dst, x, y, z, mask){
+  const cell=[x, y, z].map((j, a)=>Math.floor((src.origin[a]+(j+0.5)*src.size[a]-dst.origin[a])/dst.size[a]));
+  const inside=cell.every((j, a)=>j>=0 && j<dst.n[a]) && (!mask || !!mask(cell[2])[cell[1]*dst.n[0]+cell[0]]);
+  return inside ? cell : null;
+}
+
+// -> { values:Float64Array, before, after, clipped (Float64Array(F) each), clippedCells:[index] }
+export function resampleCells(values, F, src, dst, method='nearest', mask=null){
+  const W=[0,1,2].map(a=>axisWeights(a===2 && method==='bilinear' ? 'nearest' : method, src, dst, a));
+  const [sx, sy]=src.n, [dx, dy, dz]=dst.n;
+  const out=new Float64Array(dx*dy*dz*F), acc=new Float64Array(F);
+  const volS=src.size[0]*src.size[1]*src.size[2], volD=dst.size[0]*dst.size[1]*dst.size[2];
+  const before=new Float64Array(F), after=new Float64Array(F), clipped=new Float64Array(F), clippedCells=[];
+
+  for (let z=0; z<dz; z++){
+    const m=mask ? mask(z) : null;
+    for (let y=0; y<dy; y++) for (let x=0; x<dx; x++){
+      if (m && !m[y*dx+x]) continue;
+      acc.fill(0);
+      for (const [jz, wz] of W[2][z]) for (const [jy, wy] of W[1][y]) for (const [jx, wx] of W[0][x]){
+        const w=wz*wy*wx, o=((jz*sy+jy)*sx+jx)*F;
+        for (let fi=0; fi<F; fi++) acc[fi]+=w*values[o+fi];
+      }
+      const o=((z*dy+y)*dx+x)*F;
+      for (let fi=0; fi<F; fi++){ out[o+fi]=acc[fi]; after[fi]+=acc[fi]*volD; }
+    }
+  }
+
+  // old cells whose centre lands outside the new grid or its mask
+  const n=src.n[0]*src.n[1]*src.n[2];
+  for (let i=0; i<n; i++){
+    const o=i*F;
+    let any=false;
+    for (let fi=0; fi<F; fi++) if (values[o+fi]!==0){ any=true; before[fi]+=values[o+fi]*volS; }
+    if (!any) continue;
+    const x=i%sx, y=((i/sx)|0)%sy, z=(i/(sx*sy))|0;
+    if (landingCell(src, dst, x, y, z, mask)) continue;
+    clippedCells.push(i);
+    for (let fi=0; fi<F; fi++) clipped[fi]+=values[o+fi]*volS;
+  }
+  return { values:out, before, after, clipped, clippedCells };
+}
+
+// Every cell's dense fields (minus their defaults) and sparse values in the current layout; numeric
+// ones are resampled, the rest (other: [[old index, { key:value }]]) carried to the nearest cell.
+export async function _captureCells(){
+  const W=this.state.cellsX, H=this.state.cellsY, Z=this.effectiveCellsZ;
+  const fields=this.schema.fieldNames.slice(), F=fields.length, defs=this.schema.fields.map(d=>d.default || 0);
+  const dense=new Float32Array(W*H*Z*F);
+  for (let z=0; z<Z; z++){
+    const layer=await this._ensureDenseLayer(z);
+    for (let y=0; y<H; y++) for (let x=0; x<W; x++){
+      const o=((z*H+y)*W+x)*F;
+      for (let fi=0; fi<F; fi++) dense[o+fi]=this._sampleCellSync(layer, z, x, y, fi)-defs[fi];
+    }
+  }
+  const keys=new Set();
+  for (const d of Object.values(this.dataTable)) for (const k in d) if (typeof d[k]==='number') keys.add(k);
+  const sk=Array.from(keys), sparse=new Float64Array(W*H*Z*sk.length), other=[];
+  for (const [key, d] of Object.entries(this.dataTable)){
+    const [x, y, z]=key.split(',').map(Number);
+    if (!(x>=0 && x<W && y>=0 && y<H && z>=0 && z<Z)) continue;
+    const i=(z*H+y)*W+x;
+    sk.forEach((k, j)=>{ sparse[i*sk.length+j]=+d[k] || 0; });
+    const rest=Object.entries(d).filter(([, v])=>typeof v!=='number');
+    if (rest.length) other.push([i, Object.fromEntries(rest)]);
+  }
+  other.sort((a, b)=>a[0]-b[0]);
+  return { layout:cellLayout(this.state, Z, this.position), fields, dense, sparseKeys:sk, sparse, other };
+}
+
+// Rebuilds the dense layers and sparse table of the new layout from a capture; the old overlay
+// tiles are removed from storage once the new ones are written. -> report (see header)
+export async function _resampleInto(cap, opts){
+  const o=normalizeResample(opts), Z=this.effectiveCellsZ, W=this.state.cellsX, H=this.state.cellsY;
+  const dst=cellLayout(this.state, Z, this.position), mask=o.clip==='shape' ? z=>this._interiorMask(z) : null;
+  const D=resampleCells(cap.dense, cap.fields.length, cap.layout, dst, o.method, mask);
+  const S=resampleCells(cap.sparse, cap.sparseKeys.length, cap.layout, dst, o.method, mask);
+  const totals=(names, R)=>Object.fromEntries(names.map((k, i)=>[k, { before:R.before[i], after:R.after[i], clipped:R.clipped[i] }]));
+
+  // dense: fields matched by name (the capture was taken after any schema change)
+  const fields=this.schema.fieldNames, F=fields.length, tmpl=this._fieldTemplate();
+  const defs=this.schema.fields.map(d=>d.default || 0), from=fields.map(n=>cap.fields.indexOf(n)), CF=cap.fields.length;
+  const keep=new Set();
+  for (let z=0; z<Z; z++){
+    const layer=new DenseLayer(F, tmpl);
+    for (let y=0; y<H; y++) for (let x=0; x<W; x++){
+      const c=((z*H+y)*W+x)*CF;
+      if (!from.some(j=>j>=0 && D.values[c+j]!==0)) continue;
+      const fp=this._cellFootprint(z, x, y), q=this._splatWeights(fp);
+      for (let fi=0; fi<F; fi++){
+        const v=from[fi]>=0 ? D.values[c+from[fi]] : 0;
+        if (v!==0) this._writeFootprint(layer, fp, fi, q.map(w=>this._coerceField(fi, (defs[fi]+v)*w)));
+      }
+    }
+    this._layerCache.set(z, layer);
+    this._dirtyLayers.add(z);
+    for (const ti of layer.tiles.keys()) keep.add(tileKey(z, ti));
+  }
+  if (this._db){
+    await this._flushDirtyLayers();
+    for (const k of await this._db.keys(STORE_TILES)) if (!keep.has(k)) await this._db.del(STORE_TILES, k);
+    for (const k of await this._db.keys(STORE_LMETA)) if (!(k>=0 && k<Z)) await this._db.del(STORE_LMETA, k);
+    for (const k of await this._db.keys(STORE_LAYER)) await this._db.del(STORE_LAYER, k);
+  }
+
+  // sparse table
+  const sk=cap.sparseKeys, K=sk.length;
+  this.dataTable={};
+  for (let i=0; i<W*H*Z && K; i++){
+    const v=S.values.subarray(i*K, i*K+K);
+    if (!v.some(x=>x!==0)) continue;
+    const x=i%W, y=((i/W)|0)%H, z=(i/(W*H))|0, d={};
+    sk.forEach((k, j)=>{ d[k]=v[j]; });
+    this.dataTable[`${x},${y},${z}`]=d;
+    if (d.O2) this._maxO2=Math.max(this._maxO2, d.O2);
+  }
+  const [ox, oy]=cap.layout.n, lost=[];
+  for (const [i, vals] of cap.other || []){
+    const c=landingCell(cap.layout, dst, i%ox, ((i/ox)|0)%oy, (i/(ox*oy))|0, mask);
+    if (!c){ lost.push([i, vals]); continue; }
+    const key=`${c[0]},${c[1]},${c[2]}`;
+    this.dataTable[key]={ ...this.dataTable[key], ...vals };
+  }
+
+  // clipped old cells, merged over both tables
+  const cells=new Map();
+  const note=(i, part, names, vals, stride)=>{
+    let c=cells.get(i);
+    if (!c) cells.set(i, c={ x:i%ox, y:((i/ox)|0)%oy, z:(i/(ox*oy))|0, dense:{}, sparse:{} });
+    names.forEach((k, j)=>{ const v=vals[i*stride+j]; if (v!==0) c[part][k]=v; });
+  };
+  for (const i of D.clippedCells) note(i, 'dense', cap.fields, cap.dense, CF);
+  for (const i of S.clippedCells) note(i, 'sparse', sk, cap.sparse, K);
+  for (const [i, vals] of lost){ note(i, 'sparse', [], null, 0); Object.assign(cells.get(i).sparse, vals); }
+  const list=Array.from(cells.keys()).sort((a,b)=>a-b).map(i=>cells.get(i));
+  return {
+    method:o.method, clip:o.clip, dense:totals(cap.fields, D), sparse:totals(sk, S),
+    cells:list.slice(0, o.limit), truncated:Math.max(0, list.length-o.limit)
+  };
+}
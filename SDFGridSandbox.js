@@ -0,0 +1,413 @@
+// Sandboxed execution for particle logic scripts.
+//
+// A script defines `applyForce(ctx)` and runs apart from the page's globals: in a node:vm context
+// under Node, in a dedicated Worker in browsers, and (last resort) in-thread. node:vm keeps scripts
+// from clobbering host globals by accident; it is not a security boundary.
+// Particles cross the boundary as plain data, once per frame:
+//   batch = { shared:{ dt, center:[x,y,z], uid, forceScale, state, fields, cellSize, cells, seed?, time?,
+//             interaction:{ separation, cohesion, alignment } },
+//             items:[{ position, velocity, data, sd, inside, grad, zIndex, cell, nb:[[j,d]...], ia:[9]|null }] }
+//   out   = { v:[[vx,vy,vz]|null...], pos:[[x,y,z]|null...], data:[{ changed props }|null...],
+//             errors:[{ i, message, line, column }], deposits, done, timedOut }
+//
+// Logic API version 2 (LOGIC_API_VERSION, ctx.apiVersion). Compared with version 1, where scripts
+// got the particle itself and the page's THREE:
+//   ctx.p is a copy: position, velocity and the particle's own number/string/boolean properties
+//     (`data`); changes to all of them are written back, other properties are not visible.
+//   THREE is { Vector3, MathUtils }: Vector3 has the three.js API except methods that take
+//     matrices, quaternions, cameras or other THREE types. ctx.p.position/velocity, ctx.grad
+//     and ctx.center are such Vector3s.
+// Lines/columns of errors refer to the script.
+//
+// Field API on ctx (values are the frame-start snapshot; writes are queued and applied after
+// the step by the grid):
+//   ctx.cell -> [x,y,z] | null            ctx.fieldNames
+//   ctx.field(name)                       value in the particle's cell
+//   ctx.fieldAt(dx,dy,dz,name)            neighbouring cell, |d| <= 1
+//   ctx.neighbor(dx,dy,name,dz=0)         in-plane shorthand for fieldAt
+//   ctx.fieldGrad(name) -> Vec3           central differences, per world unit
+//   ctx.deposit(name,amount,dx,dy,dz)     add to a cell (own cell by default)
+//   ctx.consume(name,amount,dx,dy,dz)     remove, limited to what the cell holds
+//
+// Neighbours (see SDFGridNeighbors.js; empty unless logic.interaction.enabled):
+//   ctx.neighbors -> [{ index, position, velocity, distance }]   nearest first, frame-start values
+//   ctx.interaction -> { separation, cohesion, alignment (Vec3s), weights }
+//   ctx.applyInteraction(scale=1)          adds the weighted forces × dt to ctx.p.velocity
+//
+// Randomness and time: ctx.random() is Math.random, and ctx.time the simulation time (null unless
+// deterministic). In deterministic mode (shared.seed set, SDFGridReplay.js) Math.random and ctx.random
+// are a per-particle stream seeded from the step seed and the particle index, and Date.now returns
+// the simulation time in ms, so a step's outcome depends on its inputs only. Scripts get Math and
+// Date as wrapper parameters (like the shadowed browser globals); the real ones are never patched.
+export const LOGIC_API_VERSION = 2;
+
+const IS_NODE = typeof process!=='undefined' && !!process.versions?.node;
+
+// node:vm is loaded on first use (no top-level import, so bundlers for the browser never see it):
+// synchronously where process.getBuiltinModule exists, else through a dynamic import.
+let VM=null, vmLoad=null;
+function loadVM(){
+  if (VM || !IS_NODE) return VM;
+  try { VM=process.getBuiltinModule?.('node:vm') || null; } catch {}
+  if (!VM) vmLoad ??= import(/* webpackIgnore: true */ /* @vite-ignore */ 'node:vm').then(m=>VM=m, ()=>null);
+  return VM;
+}
+
+const SCRIPT_NAME = 'logic.js';
+
+// Shared by every backend; evaluated inside the sandbox.
+const SANDBOX_SRC = String.raw`
+const MathUtils=Object.freeze({
+  DEG2RAD:Math.PI/180, RAD2DEG:180/Math.PI,
+  clamp:(v,a,b)=>Math.max(a, Math.min(b, v)),
+  euclideanModulo:(n,m)=>((n%m)+m)%m,
+  mapLinear:(x,a1,a2,b1,b2)=>b1+(x-a1)*(b2-b1)/(a2-a1),
+  inverseLerp:(x,y,v)=>x!==y ? (v-x)/(y-x) : 0,
+  lerp:(x,y,t)=>(1-t)*x+t*y,
+  damp:(x,y,l,dt)=>MathUtils.lerp(x, y, 1-Math.exp(-l*dt)),
+  pingpong:(x,l=1)=>l-Math.abs(MathUtils.euclideanModulo(x, l*2)-l),
+  smoothstep:(x,a,b)=>x<=a ? 0 : x>=b ? 1 : ((x-a)/(b-a))**2*(3-2*(x-a)/(b-a)),
+  smootherstep:(x,a,b)=>{ if (x<=a) return 0; if (x>=b) return 1; x=(x-a)/(b-a); return x*x*x*(x*(x*6-15)+10); },
+  randInt:(a,b)=>a+Math.floor(__rand()*(b-a+1)),
+  randFloat:(a,b)=>a+__rand()*(b-a),
+  randFloatSpread:r=>r*(0.5-__rand()),
+  degToRad:d=>d*Math.PI/180,
+  radToDeg:r=>r*180/Math.PI,
+  isPowerOfTwo:v=>(v&(v-1))===0 && v!==0
+});
+class Vec3{
+  constructor(x=0,y=0,z=0){ this.x=x; this.y=y; this.z=z; }
+  get isVector3(){ return true; }
+  set(x,y,z){ if (z===undefined) z=this.z; this.x=x; this.y=y; this.z=z; return this; }
+  setScalar(s){ return this.set(s,s,s); }
+  setX(x){ this.x=x; return this; } setY(y){ this.y=y; return this; } setZ(z){ this.z=z; return this; }
+  setComponent(i,v){ this['xyz'[i]]=v; return this; }
+  getComponent(i){ return this['xyz'[i]]; }
+  copy(v){ this.x=v.x; this.y=v.y; this.z=v.z; return this; }
+  clone(){ return new Vec3(this.x,this.y,this.z); }
+  add(v){ this.x+=v.x; this.y+=v.y; this.z+=v.z; return this; }
+  addScalar(s){ this.x+=s; this.y+=s; this.z+=s; return this; }
+  addVectors(a,b){ return this.set(a.x+b.x, a.y+b.y, a.z+b.z); }
+  addScaledVector(v,s){ this.x+=v.x*s; this.y+=v.y*s; this.z+=v.z*s; return this; }
+  sub(v){ this.x-=v.x; this.y-=v.y; this.z-=v.z; return this; }
+  subScalar(s){ return this.addScalar(-s); }
+  subVectors(a,b){ return this.set(a.x-b.x, a.y-b.y, a.z-b.z); }
+  multiply(v){ this.x*=v.x; this.y*=v.y; this.z*=v.z; return this; }
+  multiplyScalar(s){ this.x*=s; this.y*=s; this.z*=s; return this; }
+  multiplyVectors(a,b){ return this.set(a.x*b.x, a.y*b.y, a.z*b.z); }
+  divide(v){ this.x/=v.x; this.y/=v.y; this.z/=v.z; return this; }
+  divideScalar(s){ return this.multiplyScalar(1/s); }
+  min(v){ return this.set(Math.min(this.x,v.x), Math.min(this.y,v.y), Math.min(this.z,v.z)); }
+  max(v){ return this.set(Math.max(this.x,v.x), Math.max(this.y,v.y), Math.max(this.z,v.z)); }
+  clamp(a,b){ return this.max(a).min(b); }
+  clampScalar(a,b){ return this.set(MathUtils.clamp(this.x,a,b), MathUtils.clamp(this.y,a,b), MathUtils.clamp(this.z,a,b)); }
+  clampLength(a,b){ const l=this.length(); return this.divideScalar(l||1).multiplyScalar(MathUtils.clamp(l,a,b)); }
+  floor(){ return this.set(Math.floor(this.x), Math.floor(this.y), Math.floor(this.z)); }
+  ceil(){ return this.set(Math.ceil(this.x), Math.ceil(this.y), Math.ceil(this.z)); }
+  round(){ return this.set(Math.round(this.x), Math.round(this.y), Math.round(this.z)); }
+  roundToZero(){ return this.set(Math.trunc(this.x), Math.trunc(this.y), Math.trunc(this.z)); }
+  negate(){ return this.multiplyScalar(-1); }
+  dot(v){ return this.x*v.x+this.y*v.y+this.z*v.z; }
+  lengthSq(){ return this.dot(this); }
+  length(){ return Math.sqrt(this.lengthSq()); }
+  manhattanLength(){ return Math.abs(this.x)+Math.abs(this.y)+Math.abs(this.z); }
+  normalize(){ return this.divideScalar(this.length()||1); }
+  setLength(l){ return this.normalize().multiplyScalar(l); }
+  lerp(v,t){ this.x+=(v.x-this.x)*t; this.y+=(v.y-this.y)*t; this.z+=(v.z-this.z)*t; return this; }
+  lerpVectors(a,b,t){ return this.copy(a).lerp(b,t); }
+  cross(v){ return this.crossVectors(this, v); }
+  crossVectors(a,b){ return this.set(a.y*b.z-a.z*b.y, a.z*b.x-a.x*b.z, a.x*b.y-a.y*b.x); }
+  projectOnVector(v){ const d=v.lengthSq(); return d ? this.copy(v).multiplyScalar(v.dot(this)/d) : this.set(0,0,0); }
+  projectOnPlane(n){ return this.sub(new Vec3().copy(this).projectOnVector(n)); }
+  reflect(n){ return this.sub(new Vec3().copy(n).multiplyScalar(2*this.dot(n))); }
+  angleTo(v){ const d=Math.sqrt(this.lengthSq()*v.lengthSq()); return d ? Math.acos(MathUtils.clamp(this.dot(v)/d, -1, 1)) : Math.PI/2; }
+  distanceTo(v){ return Math.sqrt(this.distanceToSquared(v)); }
+  distanceToSquared(v){ const dx=this.x-v.x, dy=this.y-v.y, dz=this.z-v.z; return dx*dx+dy*dy+dz*dz; }
+  manhattanDistanceTo(v){ return Math.abs(this.x-v.x)+Math.abs(this.y-v.y)+Math.abs(this.z-v.z); }
+  equals(v){ return v.x===this.x && v.y===this.y && v.z===this.z; }
+  fromArray(a,o=0){ return this.set(a[o], a[o+1], a[o+2]); }
+  toArray(a=[],o=0){ a[o]=this.x; a[o+1]=this.y; a[o+2]=this.z; return a; }
+  random(){ return this.set(__rand(), __rand(), __rand()); }
+  randomDirection(){ const t=__rand()*Math.PI*2, u=__rand()*2-1, c=Math.sqrt(1-u*u); return this.set(c*Math.cos(t), u, c*Math.sin(t)); }
+  *[Symbol.iterator](){ yield this.x; yield this.y; yield this.z; }
+}
+const THREE=Object.freeze({ Vector3:Vec3, MathUtils });
+const __v=a=>new Vec3(a[0],a[1],a[2]);
+// user code starts on line 2 of the wrapper; browser-only globals are shadowed
+function __wrap(src){
+  return '(function(THREE,Vec3,Math,Date,self,globalThis,postMessage,importScripts,fetch,XMLHttpRequest,WebSocket,indexedDB,caches,close,onmessage,Worker,navigator,location){"use strict";\n'
+    + src + '\n;return (typeof applyForce==="function")?applyForce:null;})\n//# sourceURL=${SCRIPT_NAME}';
+}
+const __random=Math.random, __dateNow=()=>Date.now();
+const __now=(typeof performance!=='undefined' && performance.now) ? ()=>performance.now() : __dateNow;
+
+// the script's Math.random / Date.now: the running particle's stream and clock (set by __run)
+let __cur={ random:__random, now:__dateNow };
+function __rand(){ return __cur.random(); }
+const __Math=Object.freeze(Object.assign(Object.fromEntries(Object.getOwnPropertyNames(Math).map(k=>[k, Math[k]])), { random:__rand }));
+class __Date extends Date{
+  constructor(...a){ if (a.length) super(...a); else super(__cur.now()); }
+  static now(){ return __cur.now(); }
+}
+
+// mulberry32 stream for particle i of a step seed
+function __rng(seed, i){
+  let a=(seed ^ Math.imul(i+1, 0x9E3779B1))>>>0;
+  return ()=>{
+    a=(a+0x6D2B79F5)>>>0;
+    let t=Math.imul(a^(a>>>15), a|1);
+    t^=t+Math.imul(t^(t>>>7), t|61);
+    return ((t^(t>>>14))>>>0)/4294967296;
+  };
+}
+
+function __locate(e){
+  const m=/${SCRIPT_NAME}:(\d+)(?::(\d+))?/.exec(String(e && e.stack || ''));
+  return { message:String(e && e.message || e), line:m ? Math.max(1, (+m[1])-1) : null, column:m && m[2] ? +m[2] : null };
+}
+
+var __fn=null;
+function __newOut(){ return { v:[], pos:[], data:[], errors:[], deposits:[], done:0, timedOut:false }; }
+function __compile(src){
+  __fn=null;
+  try{
+    __fn=(0,eval)(__wrap(src))(THREE,Vec3,__Math,__Date);
+    if (typeof __fn!=='function') return { message:'applyForce(ctx) is not defined', line:null, column:null };
+    return null;
+  }catch(e){ return __locate(e); }
+}
+
+// Field access: shared.cells maps "x,y,z" -> per-field values for every cell within one
+// step of a particle's cell; deposits are returned as [i, fieldIndex, amount, dx, dy, dz].
+function __fieldApi(S, it, deposits){
+  const names=S.fields || [], idx=new Map(names.map((n,i)=>[n,i]));
+  const c=it.cell, cs=S.cellSize || [1,1,1];
+  const fi=name=>{ const f=idx.get(name); if (f===undefined) throw new Error('unknown field "'+name+'"'); return f; };
+  const at=(dx,dy,dz,f)=>{
+    if (!c) return null;
+    const v=S.cells[(c[0]+dx)+','+(c[1]+dy)+','+(c[2]+dz)];
+    return v ? v[f] : null;
+  };
+  const fieldAt=(dx,dy,dz,name)=>at(dx|0,dy|0,dz|0,fi(name)) ?? 0;
+  const axisGrad=(f,ax,h)=>{
+    const d=[0,0,0]; d[ax]=1;
+    const p=at(d[0],d[1],d[2],f), m=at(-d[0],-d[1],-d[2],f), o=at(0,0,0,f) ?? 0;
+    if (p!==null && m!==null) return (p-m)/(2*h);
+    if (p!==null) return (p-o)/h;
+    if (m!==null) return (o-m)/h;
+    return 0;
+  };
+  const add=(name,amount,dx,dy,dz)=>{
+    if (!c || !(amount===amount) || !amount) return;
+    deposits.push([it.i, fi(name), +amount, dx|0, dy|0, dz|0]);
+  };
+  return {
+    cell: c ? c.slice() : null,
+    fieldNames: names.slice(),
+    field: name=>fieldAt(0,0,0,name),
+    fieldAt,
+    neighbor: (dx,dy,name,dz=0)=>fieldAt(dx,dy,dz,name),
+    fieldGrad: name=>{ const f=fi(name); return new Vec3(axisGrad(f,0,cs[0]), axisGrad(f,1,cs[1]), axisGrad(f,2,cs[2])); },
+    deposit: (name,amount,dx=0,dy=0,dz=0)=>add(name, Math.abs(amount), dx,dy,dz),
+    consume: (name,amount,dx=0,dy=0,dz=0)=>add(name, -Math.abs(amount), dx,dy,dz)
+  };
+}
+
+function __neighborApi(S, it, items, p){
+  const a=it.ia || [0,0,0,0,0,0,0,0,0], w=S.interaction || {};
+  const interaction={
+    separation:new Vec3(a[0],a[1],a[2]), cohesion:new Vec3(a[3],a[4],a[5]), alignment:new Vec3(a[6],a[7],a[8]),
+    weights:{ separation:+w.separation||0, cohesion:+w.cohesion||0, alignment:+w.alignment||0 }
+  };
+  return {
+    neighbors:(it.nb || []).map(([j,d])=>({ index:j, position:__v(items[j].position), velocity:__v(items[j].velocity), distance:d })),
+    interaction,
+    applyInteraction:(scale=1)=>{
+      const k=S.dt*scale, W=interaction.weights;
+      p.velocity.addScaledVector(interaction.separation, W.separation*k)
+        .addScaledVector(interaction.cohesion, W.cohesion*k)
+        .addScaledVector(interaction.alignment, W.alignment*k);
+    }
+  };
+}
+
+// number/string/boolean properties of p that differ from the particle's data, or null
+function __changed(data, p){
+  let out=null;
+  for (const k of Object.keys(p)){
+    if (k==='position' || k==='velocity' || k==='index') continue;
+    const v=p[k], t=typeof v;
+    if ((t==='number' || t==='string' || t==='boolean') && !Object.is(v, data ? data[k] : undefined)) (out ??= {})[k]=v;
+  }
+  return out;
+}
+
+function __run(batch, budget, out){
+  const S=batch.shared, items=batch.items, t0=__now();
+  const center=__v(S.center);
+  out.deposits=out.deposits || [];
+  const det=S.seed!=null;
+  const now=det ? ()=>Math.floor(S.time*1000) : __dateNow;
+  __cur={ random:__random, now };
+  try {
+    for (let i=out.done; i<items.length; i++){
+      if (__now()-t0>budget){ out.timedOut=true; break; }
+      const it=items[i];
+      it.i=i;
+      const p={ ...it.data, position:__v(it.position), velocity:__v(it.velocity), index:i };
+      const deps=[];
+      const random=det ? __rng(S.seed, i) : __random;
+      __cur={ random, now };
+      const ctx=Object.assign(__fieldApi(S, it, deps), __neighborApi(S, it, items, p), { p, apiVersion:2, dt:S.dt, sd:it.sd, inside:it.inside, grad:__v(it.grad), center, zIndex:it.zIndex, uid:S.uid, forceScale:S.forceScale, state:S.state, random, time:det ? S.time : null });
+      out.done=i+1;
+      try{
+        __fn(ctx);
+        out.v[i]=[+p.velocity.x,+p.velocity.y,+p.velocity.z];
+        out.pos[i]=[+p.position.x,+p.position.y,+p.position.z];
+        out.data[i]=__changed(it.data, p);
+        for (const d of deps) out.deposits.push(d);
+      }
+      catch(e){ out.v[i]=null; out.errors.push(Object.assign({ i }, __locate(e))); }
+    }
+  } finally { __cur={ random:__random, now:__dateNow }; }
+  return out;
+}
+`;
+
+const WORKER_SRC = SANDBOX_SRC + `
+self.onmessage=(e)=>{
+  const m=e.data;
+  if (m.type==='compile') self.postMessage({ type:'compiled', error:__compile(m.src) });
+  else if (m.type==='run') self.postMessage({ type:'result', id:m.id, out:__run(m.batch, m.budget, __newOut()) });
+};
+`;
+
+const emptyOut = n=>({ v:new Array(n).fill(null), pos:new Array(n).fill(null), data:new Array(n).fill(null), errors:[], deposits:[], done:0, timedOut:false });
+
+function timeoutError(i, budget){
+  return { i, message:`logic exceeded its ${budget} ms frame budget`, line:null, column:null };
+}
+
+// Node: scripts are compiled by the host (no eval/Function inside the context) into a
+// null-prototype context of their own. Until node:vm has loaded the compile is pending.
+function vmSandbox(src){
+  const sb={ kind:'vm', compileError:null, pending:false, ready:null, run, dispose(){} };
+  let vm=null, context=null, runner=null;
+  const setup=(mod)=>{
+    sb.pending=false;
+    if (!mod){ sb.compileError={ message:'node:vm is not available', line:null, column:null }; return; }
+    vm=mod;
+    context=vm.createContext(Object.create(null), { codeGeneration:{ strings:false, wasm:false } });
+    vm.runInContext(SANDBOX_SRC, context);
+    try{
+      context.__factory=new vm.Script(vm.runInContext('__wrap', context)(src), { filename:SCRIPT_NAME }).runInContext(context);
+      vm.runInContext('__fn=__factory(THREE,Vec3,__Math,__Date); delete globalThis.__factory;', context);
+      if (!vm.runInContext('typeof __fn==="function"', context)) sb.compileError={ message:'applyForce(ctx) is not defined', line:null, column:null };
+    }catch(e){
+      const m=new RegExp(`${SCRIPT_NAME}:(\\d+)`).exec(String(e?.stack||''));
+      sb.compileError={ message:String(e?.message||e), line:m ? Math.max(1, +m[1]-1) : null, column:null };
+    }
+    runner=new vm.Script('JSON.stringify(__run(JSON.parse(__in), __budget, __out))');
+  };
+  if (loadVM()){ setup(VM); sb.ready=Promise.resolve(); }
+  else { sb.pending=true; sb.ready=vmLoad.then(setup); }
+
+  async function run(batch, budget){
+    await sb.ready;
+    const n=batch.items.length;
+    if (!runner) return emptyOut(n);
+    // data crosses as JSON strings so scripts never hold host-realm objects
+    context.__in=JSON.stringify(batch);
+    context.__budget=budget;
+    vm.runInContext('var __out=__newOut()', context);
+    try{
+      return JSON.parse(runner.runInContext(context, { timeout:Math.ceil(budget*2)+50 }));
+    }catch(e){
+      // anything but the vm timeout (e.g. results that do not serialise) fails the whole batch
+      if (e?.code!=='ERR_SCRIPT_EXECUTION_TIMEOUT'){
+        const out=emptyOut(n);
+        out.errors.push({ i:-1, message:String(e?.message||e), line:null, column:null });
+        return out;
+      }
+      // runaway script: keep what finished, blame the particle that was running
+      const out=JSON.parse(vm.runInContext('JSON.stringify(__out)', context));
+      out.timedOut=true;
+      out.errors.push(timeoutError(Math.max(0, out.done-1), budget));
+      if (out.done){ out.v[out.done-1]=null; out.pos[out.done-1]=null; out.data[out.done-1]=null; }
+      for (const k of ['v', 'pos', 'data']) while (out[k].length<n) out[k].push(null);
+      return out;
+    }
+  }
+  return sb;
+}
+
+function workerSandbox(src){
+  const url=URL.createObjectURL(new Blob([WORKER_SRC], { type:'text/javascript' }));
+  let worker=null, seq=0;
+  const pending=new Map();
+  const sb={ kind:'worker', compileError:null, pending:true, ready:null, run, dispose };
+
+  function spawn(){
+    worker=new Worker(url);
+    worker.onmessage=(e)=>{
+      const m=e.data;
+      if (m.type==='compiled'){ sb.compileError=m.error || null; sb.pending=false; }
+      else if (m.type==='result' && pending.has(m.id)){ pending.get(m.id).done(m.out); pending.delete(m.id); }
+    };
+    sb.ready=new Promise(res=>{
+      const prev=worker.onmessage;
+      worker.onmessage=(e)=>{ prev(e); if (e.data.type==='compiled'){ worker.onmessage=prev; res(); } };
+    });
+    worker.postMessage({ type:'compile', src });
+  }
+
+  function run(batch, budget){
+    const id=++seq, n=batch.items.length;
+    if (!worker) return Promise.resolve(emptyOut(n));
+    return new Promise(res=>{
+      const timer=setTimeout(()=>{
+        pending.delete(id);
+        // the worker is stuck in a loop: kill it and start a fresh one for the next frame
+        if (worker){ worker.terminate(); spawn(); }
+        const out=emptyOut(n); out.timedOut=true; out.errors.push(timeoutError(-1, budget));
+        res(out);
+      }, Math.ceil(budget*2)+50);
+      pending.set(id, { n, timer, done(out){ clearTimeout(timer); res(out); } });
+      worker.postMessage({ type:'run', id, batch, budget });
+    });
+  }
+
+  // runs still in flight resolve empty
+  function dispose(){
+    worker?.terminate(); worker=null;
+    for (const p of pending.values()) p.done(emptyOut(p.n));
+    pending.clear();
+    URL.revokeObjectURL(url);
+  }
+
+  spawn();
+  return sb;
+}
+
+// Last resort when neither vm nor Worker exist: same API and budget checks, no isolation.
+function inlineSandbox(src){
+  const api=new Function(SANDBOX_SRC+'\nreturn { __compile, __run, __newOut };')();
+  const compileError=api.__compile(src);
+  return {
+    kind:'inline', compileError, pending:false, ready:Promise.resolve(),
+    async run(batch, budget){ return api.__run(JSON.parse(JSON.stringify(batch)), budget, api.__newOut()); },
+    dispose(){}
+  };
+}
+
+export function logicSandboxKind(){
+  if (IS_NODE) return 'vm';
+  if (typeof Worker!=='undefined' && typeof Blob!=='undefined' && typeof URL?.createObjectURL==='function') return 'worker';
+  return 'inline';
+}
+
+export function createLogicSandbox(src, kind=logicSandboxKind()){
+  if (kind==='vm') return vmSandbox(src);
+  if (kind==='worker') return workerSandbox(src);
+  return inlineSandbox(src);
+}
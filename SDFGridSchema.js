@@ -1,15 +1,269 @@
+// Overlay schema: typed field descriptors and migrations between schema versions.
+//
+// Field descriptor: { name, type:'float32'|'int16'|'uint8n', unit:'', default:0, range:[min,max]|null }
+//   int16  : rounded to integers in [-32768, 32767]
+//   uint8n : normalised 0..1 in steps of 1/255
+// Tiles stay Float32; the type (and range) constrain every write, and `default` is what
+// untouched tiles read as (the per-schema template in 'base_zero').
+//
+// this.schema = { id, fieldNames, index, fields:[descriptor], history:[{ id, fields:[descriptor], steps }] }
+// Persisted as meta 'schema' = { id, fields:names, descriptors, history } (schemaRecord).
+//
+// evolveSchema(['O2', { name:'N2', unit:'mol', default:0.78 }])           name-matched, as before
+// evolveSchema({ fields:[...], migrations:[
+//   { op:'rename', from:'O2', to:'oxygen' },
+//   { op:'drop',   field:'H2O' },
+//   { op:'derive', field:'total', expr:'oxygen + CO2' },                   arithmetic over fields
+//   { op:'retype', field:'CO2', type:'int16' } ] })
+// Plain names keep the descriptor of the field they continue (through renames). Cached layers
+// migrate immediately; stored layers migrate on their next load, replaying the history from the
+// schema id they were written with. Each layer records the migrations it went through in
+// overlay_layers_meta.migrations ([{ from, to, at }]).
+// derive expressions are parsed, never run as code (they come back from storage and snapshots):
+// numbers, field names, + - * / % **, parentheses and abs min max sqrt exp log pow floor ceil round.
 import { arraysEqual } from './SDFGridUtil.js';
-import { STORE_META } from './SDFGridConstants.js';
-import { idbPut } from './SDFGridStorage.js';
-
-export async function evolveSchema(newFieldNames){
-  if (!Array.isArray(newFieldNames) || !newFieldNames.length) return this.schema.id;
-  if (arraysEqual(newFieldNames, this.schema.fieldNames)) return this.schema.id;
-  this.schema = {
-    id: this.schema.id + 1,
-    fieldNames: newFieldNames.slice(),
-    index: new Map(newFieldNames.map((n,i)=>[n,i]))
-  };
-  if (this._db) await idbPut(this._db, STORE_META, 'schema', { id:this.schema.id, fields:this.schema.fieldNames });
-  return this.schema.id;
+import { STORE_META, TILES_X, TILES_Y } from './SDFGridConstants.js';
+import { DenseLayer, TILE_PIXELS } from './SDFGridTiles.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
+
+export const FIELD_TYPES = Object.freeze({
+  float32: { min:-Infinity, max:Infinity, quant:v=>v },
+  int16:   { min:-32768, max:32767, quant:v=>Math.round(v) },
+  uint8n:  { min:0, max:1, quant:v=>Math.round(v*255)/255 }
+});
+
+const FUNCS={ abs:Math.abs, min:Math.min, max:Math.max, sqrt:Math.sqrt, exp:Math.exp, log:Math.log,
+  pow:Math.pow, floor:Math.floor, ceil:Math.ceil, round:Math.round };
+const TOKEN=/\s*(?:((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|([A-Za-z_$][\w$]*)|(\*\*|[-+*/%(),]))/y;
+
+// derive expression over `names` -> fn(values[]) ; throws on anything outside the grammar
+function compileExpr(expr, names){
+  const s=String(expr), toks=[];
+  TOKEN.lastIndex=0;
+  while (TOKEN.lastIndex<s.length){
+    const at=TOKEN.lastIndex, m=TOKEN.exec(s);
+    if (!m){ if (!s.slice(at).trim()) break; throw new Error(`unexpected '${s.slice(at).trim()[0]}' at ${at}`); }
+    toks.push(m[1]!=null ? { num:+m[1] } : m[2]!=null ? { id:m[2] } : { op:m[3] });
+  }
+  let i=0;
+  const take=op=>toks[i]?.op===op ? (i++, true) : false;
+  const expect=op=>{ if (!take(op)) throw new Error(`expected '${op}'`); };
+  const binary=(next, ops)=>()=>{
+    let a=next();
+    for (let op; (op=ops[toks[i]?.op]); ){
+      i++;
+      const l=a, r=next();
+      a=v=>op(l(v), r(v));
+    }
+    return a;
+  };
+  const atom=()=>{
+    const t=toks[i++];
+    if (!t) throw new Error('unexpected end');
+    if (t.num!=null) return ()=>t.num;
+    if (t.op==='('){ const e=sum(); expect(')'); return e; }
+    if (t.id!=null && toks[i]?.op==='('){
+      const f=Object.hasOwn(FUNCS, t.id) && FUNCS[t.id]; if (!f) throw new Error(`unknown function '${t.id}'`);
+      i++;
+      const args=[];
+      if (!take(')')){ do args.push(sum()); while (take(',')); expect(')'); }
+      return v=>f(...args.map(a=>a(v)));
+    }
+    if (t.id!=null){
+      const k=names.indexOf(t.id); if (k<0) throw new Error(`unknown field '${t.id}'`);
+      return v=>v[k];
+    }
+    throw new Error(`unexpected '${t.op}'`);
+  };
+  const power=()=>{ const b=atom(); if (!take('**')) return b; const e=unary(); return v=>b(v)**e(v); };
+  const unary=()=>{ if (take('-')){ const e=unary(); return v=>-e(v); } if (take('+')) return unary(); return power(); };
+  const product=binary(unary, { '*':(a,b)=>a*b, '/':(a,b)=>a/b, '%':(a,b)=>a%b });
+  const sum=binary(product, { '+':(a,b)=>a+b, '-':(a,b)=>a-b });
+  const fn=sum();
+  if (i<toks.length) throw new Error(`unexpected '${toks[i].op ?? toks[i].id ?? toks[i].num}'`);
+  return fn;
+}
+
+export function normalizeField(f, base=null){
+  const d=typeof f==='string' ? { name:f } : { ...f };
+  if (!d.name) throw new Error('schema: field needs a name');
+  const out={ type:'float32', unit:'', default:0, range:null, ...(base||{}), ...d };
+  if (!FIELD_TYPES[out.type]) throw new Error(`schema: field '${out.name}' has unknown type '${out.type}'`);
+  out.default=+out.default || 0;
+  out.range=Array.isArray(out.range) ? [+out.range[0], +out.range[1]] : null;
+  return out;
+}
+
+export function makeSchema(id, fields, history=null){
+  const descs=fields.map(f=>normalizeField(f));
+  const names=descs.map(d=>d.name);
+  return {
+    id, fieldNames:names, index:new Map(names.map((n,i)=>[n,i])), fields:descs,
+    history:history?.length ? history : [{ id, fields:descs, steps:[] }]
+  };
+}
+
+export function schemaRecord(s){
+  return { id:s.id, fields:s.fieldNames.slice(), descriptors:s.fields, history:s.history };
+}
+
+export function schemaFromRecord(rec){
+  return makeSchema(rec.id|0 || 1, rec.descriptors?.length===rec.fields?.length ? rec.descriptors : rec.fields || [], rec.history);
+}
+
+export function coerceValue(d, v){
+  const T=FIELD_TYPES[d?.type] || FIELD_TYPES.float32;
+  let x=+v || 0;
+  if (d?.range){ if (x<d.range[0]) x=d.range[0]; if (x>d.range[1]) x=d.range[1]; }
+  if (x<T.min) x=T.min; if (x>T.max) x=T.max;
+  return T.quant(x);
+}
+
+const isPlain=d=>!d || (d.type==='float32' && !d.range);
+
+// Coerces a value for field index fi of the current schema.
+export function _coerceField(fi, v){
+  const d=this.schema.fields?.[fi];
+  return isPlain(d) ? v : coerceValue(d, v);
+}
+
+// Float32Array(TILE_PIXELS*F) filled with each field's default (cached per schema).
+export function _fieldTemplate(){
+  const s=this.schema;
+  if (this._tmplCache?.schema===s) return this._tmplCache.tmpl;
+  const tmpl=templateOf(s.fields.map(d=>d.default));
+  this._tmplCache={ schema:s, tmpl };
+  return tmpl;
+}
+
+function templateOf(defaults){
+  const F=defaults.length, t=new Float32Array(TILE_PIXELS*F);
+  if (defaults.some(v=>v!==0)) for (let p=0; p<TILE_PIXELS; p++) for (let fi=0; fi<F; fi++) t[p*F+fi]=defaults[fi];
+  return t;
+}
+
+// Steps taking data written under schema `sid` (with field names `names`) to schema s, or null
+// when the history does not reach back that far (callers fall back to matching names).
+export function migrationSteps(s, sid, names){
+  const i=s.history.findIndex(h=>h.id===sid);
+  if (i<0 || !arraysEqual(s.history[i].fields.map(d=>d.name), names)) return null;
+  return s.history.slice(i+1).flatMap(h=>h.steps);
+}
+
+export function defaultsFor(s, sid, names){
+  const h=s.history.find(h=>h.id===sid);
+  const byName=new Map((h?.fields || s.fields).map(d=>[d.name, d.default]));
+  return names.map(n=>byName.get(n) ?? 0);
+}
+
+// Column-wise migration of one block of n pixels: cols maps name -> Float32Array(n).
+function applySteps(cols, steps, n){
+  for (const st of steps){
+    if (st.op==='rename'){ const c=cols.get(st.from); cols.delete(st.from); if (c) cols.set(st.to, c); }
+    else if (st.op==='drop') cols.delete(st.field);
+    else if (st.op==='retype'){
+      const c=cols.get(st.field), d={ type:st.type };
+      if (c) for (let p=0; p<n; p++) c[p]=coerceValue(d, c[p]);
+    }
+    else if (st.op==='derive'){
+      const names=Array.from(cols.keys()), src=names.map(k=>cols.get(k));
+      const fn=compileExpr(st.expr, names), args=new Array(names.length), out=new Float32Array(n);
+      for (let p=0; p<n; p++){ for (let k=0; k<src.length; k++) args[k]=src[k][p]; out[p]=+fn(args) || 0; }
+      cols.set(st.field, out);
+    }
+  }
+  return cols;
+}
+
+// Migrates a layer with fields `names` (defaults `defaults`) to schema s through `steps`
+// (null = copy fields by name). Tiles the old defaults would migrate to something other than
+// the new defaults get materialised.
+export function migrateLayer(layer, names, defaults, steps, s, template){
+  const Fo=names.length, F=s.fieldNames.length;
+  const block=(src, n)=>{
+    const cols=new Map(names.map((nm,i)=>{
+      const c=new Float32Array(n);
+      for (let p=0; p<n; p++) c[p]=src ? src[p*Fo+i] : defaults[i];
+      return [nm, c];
+    }));
+    applySteps(cols, steps || [], n);
+    const out=new Float32Array(n*F);
+    s.fields.forEach((d, fi)=>{
+      const c=cols.get(d.name), plain=isPlain(d);
+      for (let p=0; p<n; p++){ const v=c ? c[p] : d.default; out[p*F+fi]=plain ? v : coerceValue(d, v); }
+    });
+    return out;
+  };
+  const out=new DenseLayer(F, template);
+  const base=block(null, 1);
+  const materialise=s.fields.some((d, fi)=>base[fi]!==template[fi]);
+  const tis=materialise ? Array.from({ length:TILES_X*TILES_Y }, (_,i)=>i) : Array.from(layer.tiles.keys());
+  for (const ti of tis){
+    out.tiles.set(ti, block(layer.tiles.get(ti) || null, TILE_PIXELS));
+    out.touch(ti);
+  }
+  out.legacy=layer.legacy;
+  out.migrations=(layer.migrations || []).slice();
+  return out;
+}
+
+function validateSteps(prevNames, steps){
+  const live=new Set(prevNames);
+  for (const st of steps){
+    if (st.op==='rename'){
+      if (!live.has(st.from)) throw new Error(`schema: rename of unknown field '${st.from}'`);
+      live.delete(st.from); live.add(st.to);
+    } else if (st.op==='drop'){
+      if (!live.delete(st.field)) throw new Error(`schema: drop of unknown field '${st.field}'`);
+    } else if (st.op==='retype'){
+      if (!live.has(st.field)) throw new Error(`schema: retype of unknown field '${st.field}'`);
+      if (!FIELD_TYPES[st.type]) throw new Error(`schema: unknown type '${st.type}'`);
+    } else if (st.op==='derive'){
+      if (!st.field || typeof st.expr!=='string') throw new Error('schema: derive needs field and expr');
+      try { compileExpr(st.expr, Array.from(live)); }
+      catch (e){ throw new Error(`schema: derive '${st.field}': ${e.message}`); }
+      live.add(st.field);
+    } else throw new Error(`schema: unknown migration op '${st.op}'`);
+  }
+}
+
+export async function evolveSchema(next){
+  const spec=Array.isArray(next) ? { fields:next } : (next || {});
+  const steps=(spec.migrations || []).map(st=>({ ...st }));
+  if (!Array.isArray(spec.fields) || !spec.fields.length) return this.schema.id;
+
+  // plain names continue the descriptor of the field they came from
+  const prev=this.schema, origin=new Map(prev.fields.map(d=>[d.name, d]));
+  for (const st of steps){
+    if (st.op==='rename' && origin.has(st.from)) origin.set(st.to, { ...origin.get(st.from), name:st.to });
+    if (st.op==='retype' && origin.has(st.field)) origin.set(st.field, { ...origin.get(st.field), type:st.type });
+  }
+  const fields=spec.fields.map(f=>{ const n=typeof f==='string' ? f : f.name; return normalizeField(f, origin.get(n)); });
+  const names=fields.map(d=>d.name);
+  if (new Set(names).size!==names.length) throw new Error('schema: duplicate field names');
+  validateSteps(prev.fieldNames, steps);
+  if (!steps.length && arraysEqual(names, prev.fieldNames) && JSON.stringify(fields)===JSON.stringify(prev.fields)) return prev.id;
+
+  const id=prev.id+1;
+  const previous={ id:prev.id, fields:prev.fieldNames.slice() };
+  this.schema=makeSchema(id, fields, [...prev.history, { id, fields, steps }]);
+
+  // abandon loads that would cache layers of the old schema, then migrate the cached ones
+  this._rev++;
+  this._layerLoads?.clear();
+  const tmpl=this._fieldTemplate(), defaults=prev.fields.map(d=>d.default), at=Date.now();
+  for (const [z, layer] of this._layerCache){
+    const out=migrateLayer(layer, prev.fieldNames, defaults, steps, this.schema, tmpl);
+    out.migrations.push({ from:prev.id, to:id, at });
+    this._layerCache.set(z, out);
+    this._dirtyLayers.add(z);
+  }
+  this._statsCache?.clear();
+  if (this._db){
+    await this._db.put(STORE_META, 'schema', schemaRecord(this.schema));
+    await this._ensureZeroTemplate();
+  }
+  this._scheduleFlush();
+  this._emit(SDF_EVENTS.SCHEMA, { id, fields:names.slice(), previous, migrations:steps });
+  return id;
 }
@@ -1,5 +1,6 @@
 import { clamp } from './utils.js';
 import { SVGPathParser } from './svgParser.js';
+import { SDF_PRIMITIVES, evalShape, defaultPrimitive, validateShape } from './SDFGridPrimitives.js';
 
 const PARSE_SVG = SVGPathParser?.parseSVGPaths || null;
 
@@ -53,7 +54,16 @@ export function createInterpolatedShapes(){
   }
 }
 
+// Signed distance; served from the cached field when this.sdfAccel.enabled (SDFGridAccel.js).
 export function sdf(point, zLayerIndex){
+  if (this.sdfAccel?.enabled){
+    const d=this._sampleSdfField(point);
+    if (d!==null) return d;
+  }
+  return this.sdfExact(point, zLayerIndex);
+}
+
+export function sdfExact(point, zLayerIndex){
   const rel=point.clone().sub(this.position);
   const halfX=this.state.gridWidth/2, halfY=this.state.gridHeight/2, halfZ=this.state.gridDepth/2;
   if (this.state.shapeType==='cube'){
@@ -64,6 +74,12 @@ export function sdf(point, zLayerIndex){
     const r=Math.max(this.state.gridWidth, this.state.gridHeight, this.state.gridDepth)/4;
     return rel.length()-r;
   }
+  if (this.state.shapeType==='csg' && this.state.shapeTree){
+    return evalShape(this.state.shapeTree, rel.x, rel.y, rel.z);
+  }
+  if (SDF_PRIMITIVES.includes(this.state.shapeType)){
+    return evalShape(defaultPrimitive(this.state.shapeType, this.state), rel.x, rel.y, rel.z);
+  }
   if (this.state.shapeType==='custom' && this.state.customSVGPath && PARSE_SVG){
     if (!this.interpolatedShapes.length){
       if (!this.svgShapes.length) this.svgShapes = PARSE_SVG(this.state.customSVGPath);
@@ -86,7 +102,18 @@ export function sdf(point, zLayerIndex){
   return Infinity;
 }
 
+// Replaces the CSG tree (validated) and rebuilds the grid around it.
+export async function setShapeTree(tree){
+  validateShape(tree);
+  await this.updateGrid({ shapeType:'csg', shapeTree:tree });
+}
+
+// Central differences of sdf(); with sdfAccel enabled, closed-form or cached-field gradients first.
 export function sdfGrad(point,zLayerIndex){
+  if (this.sdfAccel?.enabled){
+    const g=this._analyticSdfGrad(point) || this._sampleSdfFieldGrad(point);
+    if (g) return g;
+  }
   const e=1e-2;
   const dx=this.sdf(new THREE.Vector3(point.x+e,point.y,point.z),zLayerIndex)-this.sdf(new THREE.Vector3(point.x-e,point.y,point.z),zLayerIndex);
   const dy=this.sdf(new THREE.Vector3(point.x,point.y+e,point.z),zLayerIndex)-this.sdf(new THREE.Vector3(point.x,point.y-e,point.z),zLayerIndex);
@@ -0,0 +1,201 @@
+// Slice view: a dense layer's field at full 1024×1024 resolution as a DataTexture on a plane at
+// that layer's world position, coloured through grid.fieldStyleFor(field) (SDFGridColormaps.js).
+// Several slices stack (one plane per slice, each with its own opacity), alongside or instead of
+// the instanced-box renderer.
+//
+//   const view=grid.createSliceView(scene, { slices:[{ layer:0, field:'O2', opacity:0.8 }] });
+//   view.addSlice({ layer:1, field:'CO2' }); view.setSlice(0, { field:'H2O' });
+//
+// Updates are incremental: each slice remembers the DenseLayer tile revisions it last drew and
+// recolours only tiles written since (tile = dirty region). A change of display range, field,
+// style, schema or layer object (checkpoint restore, schema migration) redraws the whole slice.
+// Auto ranges are resolved from per-tile extrema, so percentile ranges are approximate here.
+import { SDF_EVENTS } from './SDFGridEvents.js';
+import { DENSE_W, DENSE_H, DENSE_TILE, TILES_X, TILES_Y } from './SDFGridConstants.js';
+import { tileOrigin } from './SDFGridTiles.js';
+
+let nextSliceId=1; // keys each slice's rolling range state (grid.fieldRange), stable across removals
+
+export class SliceRenderer {
+  constructor(scene, opts={}){
+    this.scene = scene;
+    this.grid = null;
+    this.group = new THREE.Group();
+    this.slices = [];        // { id, layer, field, opacity, mesh, texture, data, drawn:{ layerObj, revs, range, fi, style } }
+    this.visible = true;
+    this._gen = 0;
+    this._refreshing = null;
+    this._refreshAgain = false;
+    this._listeners = [];
+    for (const s of opts.slices || []) this.addSlice(s);
+  }
+
+  attach(grid){
+    if (this.grid) this.detach();
+    this.grid = grid;
+    const on=(type, fn)=>{ grid.addEventListener(type, fn); this._listeners.push([type, fn]); };
+    const place=()=>{ this._placeAll(); this.refresh(); }, refresh=()=>{ this.refresh(); };
+    on(SDF_EVENTS.RESHAPE, place);
+    on(SDF_EVENTS.MOVE, place);
+    on(SDF_EVENTS.NUCLEUS, place);
+    on(SDF_EVENTS.STEP, refresh);
+    on(SDF_EVENTS.CELLS, refresh);
+    on(SDF_EVENTS.SCHEMA, ()=>{ this.invalidate(); this.refresh(); });
+    on(SDF_EVENTS.RESTORE, refresh);
+    on(SDF_EVENTS.DISPOSE, ()=>this.detach());
+    this.scene.add(this.group);
+    const gen=this._gen;
+    Promise.resolve(grid.ready).then(()=>{ if (this.grid===grid && this._gen===gen) place(); });
+    return this;
+  }
+
+  detach(){
+    this._gen++;
+    for (const [type, fn] of this._listeners) this.grid?.removeEventListener(type, fn);
+    this._listeners=[];
+    this.scene.remove(this.group);
+    this.grid=null;
+  }
+
+  dispose(){
+    this.detach();
+    for (const s of this.slices.splice(0)) this._disposeSlice(s);
+  }
+
+  setVisible(v){ this.visible=!!v; this.group.visible=this.visible; }
+
+  addSlice({ layer=0, field=null, opacity=0.8 }={}){
+    const data=new Uint8Array(DENSE_W*DENSE_H*4);
+    const texture=new THREE.DataTexture(data, DENSE_W, DENSE_H, THREE.RGBAFormat);
+    texture.magFilter=THREE.LinearFilter; texture.minFilter=THREE.LinearFilter; texture.generateMipmaps=false;
+    const material=new THREE.MeshBasicMaterial({ map:texture, transparent:true, opacity, side:THREE.DoubleSide, depthWrite:false });
+    const mesh=new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+    const s={ id:nextSliceId++, layer:layer|0, field, opacity, mesh, texture, data, drawn:null };
+    this.slices.push(s);
+    this.group.add(mesh);
+    if (this.grid){ this._place(s); this.refresh(); }
+    return s;
+  }
+
+  // slice: the object from addSlice or its index
+  removeSlice(slice){
+    const i=typeof slice==='number' ? slice : this.slices.indexOf(slice);
+    if (i<0 || i>=this.slices.length) return false;
+    this._disposeSlice(this.slices.splice(i, 1)[0]);
+    return true;
+  }
+
+  setSlice(slice, { layer, field, opacity }={}){
+    const s=typeof slice==='number' ? this.slices[slice] : slice;
+    if (!s) return null;
+    if (opacity!=null){ s.opacity=opacity; s.mesh.material.opacity=opacity; }
+    if (layer!=null && (layer|0)!==s.layer){ s.layer=layer|0; s.drawn=null; if (this.grid) this._place(s); }
+    if (field!==undefined && field!==s.field){ s.field=field; s.drawn=null; }
+    this.refresh();
+    return s;
+  }
+
+  // Forces a full redraw of every slice on the next refresh.
+  invalidate(){ for (const s of this.slices) s.drawn=null; }
+
+  _disposeSlice(s){
+    this.group.remove(s.mesh);
+    s.mesh.geometry.dispose(); s.mesh.material.dispose(); s.texture.dispose();
+    const st=this.grid?._rangeState;
+    for (const k in st || {}) if (k.startsWith(`slice:${s.id}:`)) delete st[k];
+  }
+
+  _placeAll(){ for (const s of this.slices) this._place(s); }
+
+  // The texture spans the logical grid's extent around the layer's nucleus (see _mapCellToDense).
+  _place(s){
+    const grid=this.grid, S=grid.state, P=grid.position;
+    const z=Math.max(0, Math.min(grid.effectiveCellsZ-1, s.layer));
+    const cw=S.gridWidth/S.cellsX, ch=S.gridHeight/S.cellsY, cd=S.gridDepth/grid.effectiveCellsZ;
+    const nuc=grid.getNucleus(z);
+    const sx=DENSE_W/Math.max(1,S.cellsX), sy=DENSE_H/Math.max(1,S.cellsY);
+    s.mesh.scale.set(S.gridWidth, S.gridHeight, 1);
+    s.mesh.position.set(
+      P.x - S.gridWidth/2  + (nuc.x + 0.5/sx + 0.5)*cw,
+      P.y - S.gridHeight/2 + (nuc.y + 0.5/sy + 0.5)*ch,
+      P.z - S.gridDepth/2  + (z + 0.5)*cd);
+    s.mesh.renderOrder=z;
+    s.drawn=null;
+  }
+
+  refresh(){
+    if (this._refreshing){ this._refreshAgain=true; return this._refreshing; }
+    this._refreshing=(this.grid ? this.grid._withPinnedLayers(load=>this._redraw(load)) : this._redraw()).finally(()=>{
+      this._refreshing=null;
+      if (this._refreshAgain){ this._refreshAgain=false; this.refresh(); }
+    });
+    return this._refreshing;
+  }
+
+  async _redraw(load){
+    const grid=this.grid, gen=this._gen;
+    if (!grid || grid._disposed || !this.slices.length) return;
+    const zs=new Set(this.slices.map(s=>Math.min(grid.effectiveCellsZ-1, s.layer)));
+    const layers=new Map(await Promise.all(Array.from(zs, async z=>[z, await load(z)])));
+    if (this._gen!==gen || grid._disposed) return;
+    this.slices.forEach(s=>this._drawSlice(s, layers.get(Math.min(grid.effectiveCellsZ-1, s.layer))));
+  }
+
+  _drawSlice(s, layer){
+    const grid=this.grid;
+    if (!layer) return;
+    const field=s.field ?? grid.fieldForViz, fi=grid.schema.index.get(field) ?? 0, F=layer.F;
+    const d=s.drawn;
+    const full=!d || d.layerObj!==layer || d.fi!==fi || d.field!==field || d.style!==JSON.stringify(grid.fieldStyleFor(field));
+
+    // per-tile extrema of the field, recomputed for changed tiles only
+    const ext=full ? new Map() : d.ext, revs=full ? new Map() : d.revs, changed=[];
+    for (const [ti, t] of layer.tiles){
+      const rev=layer.revs.get(ti) || 0;
+      if (!full && revs.get(ti)===rev) continue;
+      let lo=Infinity, hi=-Infinity;
+      for (let p=fi; p<t.length; p+=F){ const v=t[p]; if (v<lo) lo=v; if (v>hi) hi=v; }
+      ext.set(ti, [lo, hi]); revs.set(ti, rev); changed.push(ti);
+    }
+    if (!full && !changed.length) return;
+
+    const v0=layer.template ? layer.template[fi] : 0, vals=[];
+    if (ext.size<TILES_X*TILES_Y) vals.push(v0);
+    for (const [lo, hi] of ext.values()) vals.push(lo, hi);
+    const range=grid.fieldRange(field, vals, `slice:${s.id}:${field}`);
+    const redrawAll=full || range.min!==d.range.min || range.max!==d.range.max;
+    const color=grid.fieldColorizer(field, range), out=s.data;
+
+    const paint=(ti)=>{
+      const o=tileOrigin(ti), t=layer.tiles.get(ti);
+      for (let y=0; y<DENSE_TILE; y++){
+        let dst=((o.y+y)*DENSE_W + o.x)*4, src=y*DENSE_TILE*F+fi;
+        for (let x=0; x<DENSE_TILE; x++, dst+=4, src+=F) color(t ? t[src] : v0, out, dst);
+      }
+    };
+    if (redrawAll){
+      // untouched tiles share one colour
+      color(v0, out, 0);
+      const r=out[0], g=out[1], b=out[2], a=out[3];
+      for (let ti=0; ti<TILES_X*TILES_Y; ti++){
+        if (layer.tiles.has(ti)){ paint(ti); continue; }
+        const o=tileOrigin(ti);
+        for (let y=0; y<DENSE_TILE; y++){
+          let dst=((o.y+y)*DENSE_W + o.x)*4;
+          for (let x=0; x<DENSE_TILE; x++, dst+=4){ out[dst]=r; out[dst+1]=g; out[dst+2]=b; out[dst+3]=a; }
+        }
+      }
+    } else {
+      for (const ti of changed) paint(ti);
+    }
+    s.texture.needsUpdate=true;
+    s.drawn={ layerObj:layer, fi, field, style:JSON.stringify(grid.fieldStyleFor(field)), ext, revs, range, tiles:redrawAll ? TILES_X*TILES_Y : changed.length };
+  }
+}
+
+// ---- grid methods ----
+
+// Creates and attaches a SliceRenderer; dispose() it (or the grid) to remove it.
+export function createSliceView(scene, opts={}){
+  return new SliceRenderer(scene, opts).attach(this);
+}
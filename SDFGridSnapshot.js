@@ -0,0 +1,230 @@
+// Portable single-file grid snapshots: everything needed to recreate a grid elsewhere
+// (layout, schema, nuclei, state, logic, particles and every dense layer) in one binary.
+//
+// Container (little-endian):
+//   'SDFG' | u32 version | u32 headerBytes | header JSON | zero pad to 4 | body
+// Header (version 1):
+//   { format:'sdfgrid-snapshot', version, uid, created,
+//     layout:{ w,h,layers, denseW,denseH, tile, shapeType, gw,gh,gd },
+//     schema:{ id, fields, descriptors?, history? }, nuclei:[{ z, cx,cy, w,h, rule }],
+//     state, logic, particles,                         // saved state, logic and blobs payload (may be null)
+//     layers:[{ z, sid, fields, tiles:[[tileIndex, bodyOffset]...], migrations? }] }
+// Each tile is TILE_PIXELS*fields.length Float32 values at its body offset.
+import { updateRegistrySaved } from './utils.js';
+import { DENSE_W, DENSE_H, DENSE_TILE, TILES_X, TILES_Y, STORE_META, STORE_BASE, STORE_BASEZ, STORE_LAYER, STORE_LMETA, STORE_TILES, STORE_CKPT, STORE_CKPT_TILES, STORE_SPARSE } from './SDFGridConstants.js';
+import { normalizeUID, normalizeBucketName } from './SDFGridUtil.js';
+import { openStorage } from './SDFGridStorage.js';
+import { DenseLayer, TILE_PIXELS, tileKey } from './SDFGridTiles.js';
+import { loadState, loadLogic, loadBlobs, sparseRecords, clearLocalStorage } from './SDFGridPersistence.js';
+import { schemaRecord } from './SDFGridSchema.js';
+import { decodeTile } from './SDFGridCodec.js';
+
+export const SNAPSHOT_MAGIC   = 'SDFG';
+export const SNAPSHOT_VERSION = 1;
+
+const pad4 = n=>(n+3)&~3;
+
+function snapshotError(msg){ return new Error(`Invalid snapshot: ${msg}`); }
+
+// ---- container ----
+
+// tiles: Float32Arrays in body order, matching the offsets listed in header.layers.
+export function encodeSnapshot(header, tiles){
+  const head=new TextEncoder().encode(JSON.stringify({ ...header, version:SNAPSHOT_VERSION }));
+  const start=pad4(12+head.length);
+  let bodyLen=0; for (const t of tiles) bodyLen+=t.byteLength;
+  const out=new Uint8Array(start+bodyLen), dv=new DataView(out.buffer);
+  out.set(new TextEncoder().encode(SNAPSHOT_MAGIC), 0);
+  dv.setUint32(4, SNAPSHOT_VERSION, true);
+  dv.setUint32(8, head.length, true);
+  out.set(head, 12);
+  let off=start;
+  for (const t of tiles){ out.set(new Uint8Array(t.buffer, t.byteOffset, t.byteLength), off); off+=t.byteLength; }
+  return out.buffer;
+}
+
+// -> { header, body, sourceVersion } with the header migrated to SNAPSHOT_VERSION and validated.
+export function decodeSnapshot(bytes){
+  const u8=ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) : new Uint8Array(bytes);
+  if (u8.length<12 || new TextDecoder().decode(u8.subarray(0,4))!==SNAPSHOT_MAGIC) throw snapshotError('not an SDFGrid snapshot');
+  const dv=new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const version=dv.getUint32(4, true), hl=dv.getUint32(8, true);
+  if (!version || version>SNAPSHOT_VERSION) throw snapshotError(`unsupported version ${version}`);
+  if (12+hl>u8.length) throw snapshotError('truncated header');
+  let header;
+  try { header=JSON.parse(new TextDecoder().decode(u8.subarray(12, 12+hl))); }
+  catch { throw snapshotError('unreadable header'); }
+  if (!header || typeof header!=='object') throw snapshotError('unreadable header');
+  header.version=version;
+  // copy so Float32 views over the body are aligned
+  const body=u8.slice(Math.min(u8.length, pad4(12+hl)));
+  return { ...migrateSnapshot(header, body), sourceVersion:version };
+}
+
+// version -> ({ header, body }) => { header, body } at version+1
+const MIGRATIONS = {};
+
+function migrateSnapshot(header, body){
+  let s={ header, body };
+  while (s.header.version<SNAPSHOT_VERSION){
+    const up=MIGRATIONS[s.header.version];
+    if (!up) throw snapshotError(`no migration from version ${s.header.version}`);
+    s=up(s);
+  }
+  validateSnapshot(s.header, s.body);
+  return s;
+}
+
+const posInt = v=>Number.isInteger(v) && v>0;
+
+function validateSnapshot(h, body){
+  const L=h.layout;
+  if (!L || !posInt(L.w) || !posInt(L.h) || !posInt(L.layers)) throw snapshotError('bad layout');
+  if ((L.denseW ?? DENSE_W)!==DENSE_W || (L.denseH ?? DENSE_H)!==DENSE_H || (L.tile ?? DENSE_TILE)!==DENSE_TILE)
+    throw snapshotError(`dense size ${L.denseW}x${L.denseH}/${L.tile} does not match ${DENSE_W}x${DENSE_H}/${DENSE_TILE}`);
+  const fieldsOk=f=>Array.isArray(f) && f.length>0 && f.every(n=>typeof n==='string' && n) && new Set(f).size===f.length;
+  if (!h.schema || !fieldsOk(h.schema.fields)) throw snapshotError('bad schema');
+  if (!Array.isArray(h.nuclei) || !Array.isArray(h.layers)) throw snapshotError('missing nuclei or layers');
+  for (const n of h.nuclei){
+    if (!n || !(n.z>=0 && n.z<L.layers) || !Number.isFinite(n.cx) || !Number.isFinite(n.cy)) throw snapshotError('bad nucleus');
+  }
+  const seen=new Set();
+  for (const layer of h.layers){
+    if (!layer || !Number.isInteger(layer.z) || layer.z<0 || layer.z>=L.layers || seen.has(layer.z)) throw snapshotError(`bad layer ${layer?.z}`);
+    seen.add(layer.z);
+    if (!fieldsOk(layer.fields) || !Array.isArray(layer.tiles)) throw snapshotError(`bad layer ${layer.z}`);
+    const bytes=TILE_PIXELS*layer.fields.length*4;
+    for (const [ti, off] of layer.tiles){
+      if (!Number.isInteger(ti) || ti<0 || ti>=TILES_X*TILES_Y) throw snapshotError(`bad tile ${ti} in layer ${layer.z}`);
+      if (!Number.isInteger(off) || off<0 || off%4 || off+bytes>body.length) throw snapshotError(`tile ${ti} of layer ${layer.z} out of range`);
+    }
+  }
+}
+
+// ---- export ----
+
+// Layers stay pinned until the caller has encoded their tiles (synchronously after this resolves).
+async function collectLive(m){
+  await m.ready;
+  await m._flushDirtyLayers();
+  return m._withPinnedLayers(load=>collectLayers(m, load));
+}
+
+async function collectLayers(m, load){
+  const layers=[], nuclei=[];
+  for (let z=0; z<m.effectiveCellsZ; z++){
+    const layer=await load(z);
+    layers.push({ z, sid:m.schema.id, fields:m.schema.fieldNames.slice(), tiles:layer.tiles, migrations:layer.migrations || [] });
+    const n=m.getNucleus(z), meta=m._db ? await m._db.get(STORE_META, `z:${z}`) : null;
+    nuclei.push({ z, cx:n.x, cy:n.y, w:m.state.cellsX, h:m.state.cellsY, rule:m._nucleusRules?.[z] || meta?.rule || 'dir' });
+  }
+  return {
+    layout:{ w:m.state.cellsX, h:m.state.cellsY, layers:m.effectiveCellsZ, denseW:DENSE_W, denseH:DENSE_H, tile:DENSE_TILE,
+      shapeType:m.state.shapeType||'', gw:m.state.gridWidth, gh:m.state.gridHeight, gd:m.state.gridDepth },
+    schema:schemaRecord(m.schema),
+    nuclei, layers,
+    state:m.toStateJSON(), logic:m._logicJSON(), particles:m._blobsJSON()
+  };
+}
+
+async function collectStored(uid, db){
+  const layout=await db.get(STORE_META, 'layout');
+  if (!layout) throw new Error(`No stored grid '${uid}'`);
+  const schema=await db.get(STORE_META, 'schema') || { id:1, fields:[] };
+  const layers=[], nuclei=[];
+  for (let z=0; z<layout.layers; z++){
+    const n=await db.get(STORE_META, `z:${z}`);
+    if (n) nuclei.push({ z, ...n });
+    const lmeta=await db.get(STORE_LMETA, z);
+    if (lmeta?.tiles){
+      const tiles=new Map();
+      for (const ti of lmeta.tiles){
+        const t=await decodeTile(await db.get(STORE_TILES, tileKey(z, ti)), lmeta.codec ?? null);
+        if (t) tiles.set(ti, t);
+      }
+      layers.push({ z, sid:lmeta.sid|0, fields:lmeta.fields, tiles, migrations:lmeta.migrations || [] });
+    } else {
+      const buf=await db.get(STORE_LAYER, z);
+      if (buf && lmeta?.fields) layers.push({ z, sid:lmeta.sid|0, fields:lmeta.fields, tiles:DenseLayer.fromDense(lmeta.fields.length, new Float32Array(buf)).tiles });
+    }
+  }
+  const data=[];
+  for (const z of await db.keys(STORE_SPARSE)){
+    const r=await db.get(STORE_SPARSE, z);
+    if (r && r.cx===layout.w && r.cy===layout.h) for (const c of r.cells) data.push({ ...c, z });
+  }
+  const state=await db.get(STORE_META, 'state') || loadState(uid);
+  return {
+    layout:{ ...layout, tile:DENSE_TILE }, schema:{ ...schema, id:schema.id|0 }, nuclei, layers,
+    state, logic:await db.get(STORE_META, 'logic') || loadLogic(uid),
+    particles:data.length ? { layout:{ w:layout.gw, h:layout.gh, d:layout.gd, cx:layout.w, cy:layout.h, cz:layout.layers },
+      envVariables:state?.envVariables || ['O2','CO2','H2O'], data } : loadBlobs(uid)
+  };
+}
+
+// Returns a Blob (an ArrayBuffer where Blob is unavailable). Live grids are flushed first;
+// otherwise the grid is read from storage opened with opts.storage.
+export async function exportSnapshot(uid, opts={}){
+  const id=normalizeUID(uid);
+  const live=this._instances?.get(id);
+  let data;
+  if (live) data=await collectLive(live);
+  else {
+    const db=await openStorage(normalizeBucketName(id), opts.storage);
+    if (!db) throw new Error(`No storage for grid '${id}'`);
+    try { data=await collectStored(id, db); } finally { await db.close(); }
+  }
+  const tiles=[]; let off=0;
+  const layers=data.layers.map(L=>{
+    const list=[];
+    for (const [ti, t] of L.tiles){ list.push([ti, off]); tiles.push(t); off+=t.byteLength; }
+    return { z:L.z, sid:L.sid, fields:L.fields, tiles:list, ...(L.migrations?.length ? { migrations:L.migrations } : {}) };
+  });
+  const buf=encodeSnapshot({
+    format:'sdfgrid-snapshot', uid:id, created:Date.now(),
+    layout:data.layout, schema:data.schema, nuclei:data.nuclei,
+    state:data.state, logic:data.logic, particles:data.particles, layers
+  }, tiles);
+  return typeof Blob!=='undefined' ? new Blob([buf], { type:'application/octet-stream' }) : buf;
+}
+
+// ---- import ----
+
+// Writes a snapshot into the storage of opts.uid (default: the snapshot's uid), replacing
+// whatever was stored there, including its state, logic and particles.
+// The grid must not be open; construct it afterwards from the returned state.
+export async function importSnapshot(src, opts={}){
+  const bytes=src instanceof ArrayBuffer || ArrayBuffer.isView(src) ? src : await src.arrayBuffer();
+  const { header:h, body, sourceVersion }=decodeSnapshot(bytes);
+  const uid=normalizeUID(opts.uid ?? h.uid);
+  if (this._instances?.has(uid)) throw new Error(`Grid '${uid}' is open; dispose it before importing`);
+
+  const db=await openStorage(normalizeBucketName(uid), opts.storage);
+  if (!db) throw new Error(`No storage for grid '${uid}'`);
+  let tileCount=0;
+  try {
+    for (const s of [STORE_BASE, STORE_BASEZ, STORE_LAYER, STORE_LMETA, STORE_TILES, STORE_CKPT, STORE_CKPT_TILES, STORE_SPARSE]) for (const k of await db.keys(s)) await db.del(s, k);
+    for (const k of await db.keys(STORE_META)) if (String(k).startsWith('z:') || ['base_sig', 'checkpoint_head', 'state', 'logic'].includes(k)) await db.del(STORE_META, k);
+    const { tile, ...layout }=h.layout;
+    await db.put(STORE_META, 'layout', layout);
+    await db.put(STORE_META, 'schema', { ...h.schema, id:h.schema.id|0 || 1 });
+    for (const { z, ...n } of h.nuclei) await db.put(STORE_META, `z:${z}`, { w:layout.w, h:layout.h, rule:'dir', ...n });
+    for (const L of h.layers){
+      const n=TILE_PIXELS*L.fields.length;
+      for (const [ti, off] of L.tiles){
+        await db.put(STORE_TILES, tileKey(L.z, ti), body.slice(off, off+n*4).buffer);
+        tileCount++;
+      }
+      await db.put(STORE_LMETA, L.z, { sid:L.sid|0, fields:L.fields, tile:DENSE_TILE, tiles:L.tiles.map(t=>t[0]), migrations:L.migrations || [] });
+    }
+    if (h.state) await db.put(STORE_META, 'state', { ...h.state, uid });
+    if (h.logic) await db.put(STORE_META, 'logic', h.logic);
+    if (h.particles?.layout) for (const [z, r] of sparseRecords(h.particles)) await db.put(STORE_SPARSE, z, r);
+  } finally { await db.close(); }
+
+  // older localStorage payloads of this uid would otherwise be migrated over the import
+  clearLocalStorage(uid);
+  updateRegistrySaved(uid);
+
+  return { uid, version:sourceVersion, layers:h.layers.length, tiles:tileCount, state:h.state };
+}
@@ -1,8 +1,11 @@
 import { safeNum } from './utils.js';
 import { SVGPathParser } from './svgParser.js';
 import { DENSE_W, DENSE_H, STORE_META } from './SDFGridConstants.js';
-import { idbPut } from './SDFGridStorage.js';
-import { pickNucleusByDirection } from './SDFGridNucleus.js';
+import { nucleusRulesFor } from './SDFGridNucleus.js';
+import { schemaRecord } from './SDFGridSchema.js';
+import { normalizeResample } from './SDFGridResample.js';
+import { validateShape } from './SDFGridPrimitives.js';
+import { SDF_EVENTS } from './SDFGridEvents.js';
 
 const PARSE_SVG = SVGPathParser?.parseSVGPaths || null;
 
@@ -24,7 +27,8 @@ export function toStateJSON(){
     state:this.state,
     position:{x:this.position.x,y:this.position.y,z:this.position.z},
     effectiveCellsZ:this.effectiveCellsZ, ts:Date.now(), uid:this.uid,
-    envVariables:this.envVariables, trailStrength:this.trailStrength, decayRate:this.decayRate
+    envVariables:this.envVariables, trailStrength:this.trailStrength, decayRate:this.decayRate, footprint:this.footprint,
+    fieldTransport:this.fieldTransport, fieldStyles:this.fieldStyles
   };
 }
 
@@ -34,6 +38,10 @@ export function initializeGrid(){
   const sizeZ=this.state.gridDepth/this.effectiveCellsZ;
 
   this.blobArray=[]; this.dataTable={};
+  this._masks?.clear();
+  this._statsCache?.clear();
+  this._sdfField=null;
+  this._undo.length=0; this._redo.length=0;
 
   for (let z=0; z<this.effectiveCellsZ; z++){
     const yz=[]; for(let y=0; y<this.state.cellsY; y++){ const xz=[]; for(let x=0; x<this.state.cellsX; x++) xz.push([]); yz.push(xz); }
@@ -57,11 +65,41 @@ export function initializeGrid(){
   }
 }
 
+// Per-layer Uint8 mask (cellsX*cellsY) of cells whose centre lies inside the SDF; cached until re-init.
+export function _interiorMask(z){
+  const zi=Math.min(Math.max(z|0,0), this.effectiveCellsZ-1);
+  this._masks ??= new Map();
+  let m=this._masks.get(zi);
+  if (m) return m;
+  const W=this.state.cellsX, H=this.state.cellsY;
+  const sizeX=this.state.gridWidth/W, sizeY=this.state.gridHeight/H, sizeZ=this.state.gridDepth/this.effectiveCellsZ;
+  const p=new THREE.Vector3();
+  m=new Uint8Array(W*H);
+  for (let y=0; y<H; y++){
+    for (let x=0; x<W; x++){
+      p.set(
+        x*sizeX + sizeX/2 - this.state.gridWidth/2 + this.position.x,
+        y*sizeY + sizeY/2 - this.state.gridHeight/2 + this.position.y,
+        zi*sizeZ + sizeZ/2 - this.state.gridDepth/2 + this.position.z
+      );
+      if (this.sdf(p, zi) < 0) m[y*W+x]=1;
+    }
+  }
+  this._masks.set(zi, m);
+  return m;
+}
+
+// Reshapes the grid and resamples its cell data into the new layout (SDFGridResample.js).
+// -> resample report
 export async function updateGrid(params){
-  const oldDataTable={...this.dataTable};
-  const oldPos=this.position.clone();
+  const resample=normalizeResample(params.resample);
   const oX=this.state.cellsX,oY=this.state.cellsY,oZ=this.state.cellsZ,oF=this.state.fidelity;
-  const oW=this.state.gridWidth,oH=this.state.gridHeight,oD=this.state.gridDepth;
+
+  if (Array.isArray(params.fieldNames) && params.fieldNames.length){
+    await this.evolveSchema(params.fieldNames);
+    this.fieldForViz = this.fieldForViz && this.schema.index.has(this.fieldForViz) ? this.fieldForViz : this.schema.fieldNames[0];
+  }
+  const captured=await this._captureCells();
 
   this.state.gridWidth  = params.gridWidth  || this.state.gridWidth;
   this.state.gridHeight = params.gridHeight || this.state.gridHeight;
@@ -72,57 +110,51 @@ export async function updateGrid(params){
   this.state.fidelity   = params.fidelity   || this.state.fidelity;
   this.state.shapeType  = params.shapeType  || this.state.shapeType;
   this.state.customSVGPath = params.customSVGPath || this.state.customSVGPath;
-
-  if (Array.isArray(params.fieldNames) && params.fieldNames.length){
-    await this.evolveSchema(params.fieldNames);
-    this.fieldForViz = this.fieldForViz && this.schema.index.has(this.fieldForViz) ? this.fieldForViz : this.schema.fieldNames[0];
-  }
+  if (params.shapeTree!==undefined) this.state.shapeTree = params.shapeTree ? validateShape(params.shapeTree) : null;
 
   this.effectiveCellsZ = this.state.cellsZ * this.state.fidelity;
 
+  // nucleus rules carry over (extra layers repeat the last one) and are applied to the new shape
+  if (params.propagationDir) this.propagationDir={ ...params.propagationDir };
+  const rules=params.nucleusRule!==undefined ? params.nucleusRule : this._nucleusRules;
+  this._nucleusRules=nucleusRulesFor(rules, this.effectiveCellsZ);
   this._nuclei=new Array(this.effectiveCellsZ);
-  { const w=this.state.cellsX,h=this.state.cellsY,dir=params?.propagationDir||{x:1,y:0}; const pick=()=>pickNucleusByDirection(w,h,dir); for(let z=0; z<this.effectiveCellsZ; z++) this._nuclei[z]=pick(); }
 
+  // loads still running belong to the old layout
+  this._rev++;
+  this._layerLoads?.clear();
   this._layerCache.clear();
   this._dirtyLayers.clear();
   if (this._flushHandle){ clearTimeout(this._flushHandle); this._flushHandle=null; }
 
   this.initializeGrid();
+  this._computeNuclei();
 
-  const sXo=oW/oX, sYo=oH/oY, sZo=oD/(oZ*oF);
-  const sXn=this.state.gridWidth/this.state.cellsX, sYn=this.state.gridHeight/this.state.cellsY, sZn=this.state.gridDepth/this.effectiveCellsZ;
-  for (const k in oldDataTable){
-    const [xO,yO,zO]=k.split(',').map(Number);
-    const cx=xO*sXo+sXo/2 - oW/2 + oldPos.x;
-    const cy=yO*sYo+sYo/2 - oH/2 + oldPos.y;
-    const cz=zO*sZo+sZo/2 - oD/2 + oldPos.z;
-    const xi=Math.floor((cx - (this.position.x - this.state.gridWidth/2))/sXn);
-    const yi=Math.floor((cy - (this.position.y - this.state.gridHeight/2))/sYn);
-    const zi=Math.floor((cz - (this.position.z - this.state.gridDepth/2))/sZn);
-    if (xi>=0&&xi<this.state.cellsX && yi>=0&&yi<this.state.cellsY && zi>=0&&zi<this.effectiveCellsZ){
-      const d=this.getCellData(xi,yi,zi), cur=d?(d.O2||0):0;
-      this.setCellData(xi,yi,zi,{O2:cur}, true);
-    }
-  }
+  const report=await this._resampleInto(captured, resample);
 
   if (this._db){
-    await idbPut(this._db, STORE_META, 'layout', {
+    await this._db.put(STORE_META, 'layout', {
       w:this.state.cellsX, h:this.state.cellsY, layers:this.effectiveCellsZ,
       denseW:DENSE_W, denseH:DENSE_H,
       shapeType:this.state.shapeType||'',
       gw:this.state.gridWidth, gh:this.state.gridHeight, gd:this.state.gridDepth
     });
-    await idbPut(this._db, STORE_META, 'schema', { id:this.schema.id, fields:this.schema.fieldNames });
-    for(let z=0; z<this.effectiveCellsZ; z++){
-      const n=this._nuclei[z];
-      await idbPut(this._db, STORE_META, `z:${z}`, {cx:n.x, cy:n.y, w:this.state.cellsX, h:this.state.cellsY, rule:'dir'});
-    }
+    await this._db.put(STORE_META, 'schema', schemaRecord(this.schema));
+    await this._syncBaseSDF();
+    await this._persistNuclei(Array.from({ length:this.effectiveCellsZ }, (_,z)=>z));
     await this._ensureZeroTemplate();
+    await this._flushDirtyLayers();
+    this._scheduleEviction();
   }
 
-  this.visualizeGrid();
   this.saveState();
+  this._markSparse();
   this.saveBlobs();
+  this._emit(SDF_EVENTS.RESHAPE, {
+    layout:{ w:this.state.cellsX, h:this.state.cellsY, layers:this.effectiveCellsZ },
+    previous:{ w:oX, h:oY, layers:oZ*oF }, fields:this.schema.fieldNames.slice(), resample:report
+  });
+  return report;
 }
 
 export function updatePosition(p){
@@ -131,12 +163,7 @@ export function updatePosition(p){
     safeNum(p.y,this.position.y),
     safeNum(p.z,this.position.z)
   );
-  if (this.gridGroup){
-    this.scene.remove(this.gridGroup);
-    this.gridGroup.traverse(o=>{ if(o.geometry)o.geometry.dispose(); if(o.material)o.material.dispose(); });
-  }
-  this.gridGroup=null; this.instancedMesh=null;
-  this.visualizeGrid();
+  this._emit(SDF_EVENTS.MOVE, { position:{ x:this.position.x, y:this.position.y, z:this.position.z } });
   this.saveState();
 }
 
@@ -148,6 +175,15 @@ export function zLayerIndexFromWorldZ(zWorld){
   return zi;
 }
 
+// Logical cell [x,y,z] containing a world point, or null outside the grid box.
+export function _cellOfPoint(pt){
+  const x=Math.floor((pt.x - (this.position.x - this.state.gridWidth/2))/(this.state.gridWidth/this.state.cellsX));
+  const y=Math.floor((pt.y - (this.position.y - this.state.gridHeight/2))/(this.state.gridHeight/this.state.cellsY));
+  const z=Math.floor((pt.z - (this.position.z - this.state.gridDepth/2))/(this.state.gridDepth/this.effectiveCellsZ));
+  if (x<0||x>=this.state.cellsX || y<0||y>=this.state.cellsY || z<0||z>=this.effectiveCellsZ) return null;
+  return [x,y,z];
+}
+
 export function getCellData(x,y,z){
   if (x<0||x>=this.state.cellsX||y<0||y>=this.state.cellsY||z<0||z>=this.effectiveCellsZ) return null;
   const key=`${x},${y},${z}`;
@@ -157,6 +193,7 @@ export function getCellData(x,y,z){
 export function setCellData(x,y,z,values,skipSave=false){
   if (x<0||x>=this.state.cellsX||y<0||y>=this.state.cellsY||z<0||z>=this.effectiveCellsZ) return false;
   const key=`${x},${y},${z}`;
+  this._preReadyEdits?.add(key);
   const cur=this.dataTable[key] || this.envVariables.reduce((o,k)=>{o[k]=0; return o;}, {});
   const upd={...cur, ...values};
   const allZero=this.envVariables.every(k => (upd[k]||0)===0);
@@ -165,12 +202,15 @@ export function setCellData(x,y,z,values,skipSave=false){
     this.dataTable[key]=upd;
     if (upd.O2) this._maxO2=Math.max(this._maxO2, upd.O2);
   }
+  this._markSparse(z);
   if (!skipSave) this.saveBlobs();
+  this._queueCellChange(z, x, y, Object.keys(values));
   return true;
 }
 
 export function updateDispersion(dt){
-  const now=performance.now();
+  // simulation time in deterministic mode (SDFGridReplay.js)
+  const now=this.determinism?.enabled ? this.determinism.time*1000 : performance.now();
   if (now - this._lastDispersionUpdate < 1000) return;
   this._lastDispersionUpdate = now;
 
@@ -182,23 +222,25 @@ export function updateDispersion(dt){
       const v=d.O2*decay;
       if (v<0.01) delete this.dataTable[key];
       else { this.dataTable[key].O2=v; maxO2=Math.max(maxO2, v); }
+      const [x,y,z]=key.split(',').map(Number);
+      this._markSparse(z);
+      this._queueCellChange(z, x, y, ['O2']);
     }
   }
   this._maxO2=maxO2;
 }
 
-export function setVisible(v){ if (this.gridGroup) this.gridGroup.visible=v; }
-
 export function dispose(){
   this._disposed=true;
   this._rev++;
   if (this._flushHandle){ clearTimeout(this._flushHandle); this._flushHandle=null; }
-  if (this.gridGroup){
-    this.scene.remove(this.gridGroup);
-    this.gridGroup.traverse(o=>{ if(o.geometry)o.geometry.dispose(); if(o.material)o.material.dispose(); });
-    this.gridGroup=null; this.instancedMesh=null;
-  }
+  if (this._evictHandle){ clearTimeout(this._evictHandle); this._evictHandle=null; }
   this._layerCache.clear();
   this._dirtyLayers.clear();
+  this.logic.compiled?.dispose?.();
   this.constructor._instances?.delete(this.uid);
+  if (this._cellsHandle){ clearTimeout(this._cellsHandle); this._cellsHandle=null; }
+  this._pendingCells?.clear();
+  this._emit(SDF_EVENTS.DISPOSE, { uid:this.uid });
+  this.renderer=null;
 }
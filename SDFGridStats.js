@@ -0,0 +1,188 @@
+// Field statistics and region queries over the dense overlay, at cell resolution (one value per
+// logical cell, its footprint reduced as readCell reports it; see SDFGridFootprint.js).
+//
+//   await grid.fieldStats('O2')                                   whole grid, every layer
+//   await grid.fieldStats('O2', { layers:[0,1], bins:32 })        + histogram over [min,max]
+//   await grid.regionStats('O2', { interior:true })               cells inside the SDF
+//   await grid.regionStats('O2', { box:{ min:{x,y,z}, max:{x,y,z} } })     world units, cell centres
+//   await grid.regionStats('O2', { sphere:{ center:{x,y,z}, radius } })
+//   await grid.regionStats('O2', { mask:[[x,y,z], ...] | Set('x,y,z') | (x,y,z)=>bool, key })
+// -> { field, count, min, max, sum, mean, integral (sum × cell volume), histogram?:{ min,max,counts },
+//      layers:[{ layer, count, min, max, sum, mean }] }
+//
+// Partial results are cached per region and group of cells sharing a home tile (the tile of their
+// centre pixel), keyed by the write revisions (DenseLayer.revs) of the tiles their footprints
+// cover, so polling only rescans cells whose pixels were written since the last call. Masks are cached
+// when they carry a `key` (function masks without one are evaluated every time). At most
+// STATS_CACHE_LIMIT region × layer entries are kept, the least recently used dropped first. Whole-grid
+// fieldStats also corrects this._maxField, which between polls is only a running upper bound.
+import { tileIndexOf } from './SDFGridTiles.js';
+import { DENSE_TILE } from './SDFGridConstants.js';
+
+const tileSpan=(a, b)=>[(a/DENSE_TILE)|0, ((b-1)/DENSE_TILE)|0];
+
+const cellKey=(x,y,z)=>`${x},${y},${z}`;
+
+const STATS_CACHE_LIMIT = 64;
+
+// -> { key|null, test(x,y,z)|null (null = every cell), dep(z) (identity that invalidates the cache) }
+function normalizeRegion(grid, region){
+  if (!region) return { key:'all', test:null, dep:()=>null };
+  const S=grid.state, P=grid.position, nz=grid.effectiveCellsZ;
+  const cw=S.gridWidth/S.cellsX, ch=S.gridHeight/S.cellsY, cd=S.gridDepth/nz;
+  const wx=x=>P.x - S.gridWidth/2  + (x+0.5)*cw;
+  const wy=y=>P.y - S.gridHeight/2 + (y+0.5)*ch;
+  const wz=z=>P.z - S.gridDepth/2  + (z+0.5)*cd;
+  const sig=`${P.x},${P.y},${P.z},${S.gridWidth},${S.gridHeight},${S.gridDepth}`;
+
+  if (region.interior) return { key:'interior', test:(x,y,z)=>grid._interiorMask(z)[y*S.cellsX+x]===1, dep:z=>grid._interiorMask(z) };
+  if (region.box){
+    const { min:a, max:b }=region.box;
+    return { key:`box:${JSON.stringify(region.box)}:${sig}`, dep:()=>null,
+      test:(x,y,z)=>{ const X=wx(x), Y=wy(y), Z=wz(z); return X>=a.x && X<=b.x && Y>=a.y && Y<=b.y && Z>=a.z && Z<=b.z; } };
+  }
+  if (region.sphere){
+    const { center:c, radius:r }=region.sphere, r2=r*r;
+    return { key:`sphere:${JSON.stringify(region.sphere)}:${sig}`, dep:()=>null,
+      test:(x,y,z)=>{ const dx=wx(x)-c.x, dy=wy(y)-c.y, dz=wz(z)-c.z; return dx*dx+dy*dy+dz*dz<=r2; } };
+  }
+  if (region.mask){
+    const m=region.mask, key=region.key!=null ? `mask:${region.key}` : null;
+    if (typeof m==='function') return { key, test:m, dep:()=>null };
+    const set=m instanceof Set ? m : new Set(Array.from(m, c=>cellKey(c[0], c[1], c[2])));
+    return { key, test:(x,y,z)=>set.has(cellKey(x,y,z)), dep:()=>null };
+  }
+  throw new Error('regionStats: region needs one of interior, box, sphere or mask');
+}
+
+// Cells of layer z grouped by the tile of their centre pixel:
+// Map ti -> { cells:Int32Array [x, y]..., deps:tile indices their footprints cover }
+export function _statsLayout(z){
+  const w=this.state.cellsX, h=this.state.cellsY, nuc=this.getNucleus(z);
+  const sig=`${w},${h},${nuc.x},${nuc.y},${JSON.stringify(this.footprint)}`;
+  this._statsLayouts ??= new Map();
+  const cur=this._statsLayouts.get(z);
+  if (cur?.sig===sig) return cur;
+  const lists=new Map();
+  for (let y=0; y<h; y++) for (let x=0; x<w; x++){
+    const { bx, by }=this._mapCellToDense(z, x, y), ti=tileIndexOf(bx, by), fp=this._cellFootprint(z, x, y);
+    let l=lists.get(ti); if (!l) lists.set(ti, l={ cells:[], deps:new Set() });
+    l.cells.push(x, y);
+    if (fp.x1<=fp.x0 || fp.y1<=fp.y0) continue;
+    const [tx0, tx1]=tileSpan(fp.x0, fp.x1), [ty0, ty1]=tileSpan(fp.y0, fp.y1);
+    for (let ty=ty0; ty<=ty1; ty++) for (let tx=tx0; tx<=tx1; tx++) l.deps.add(tileIndexOf(tx*DENSE_TILE, ty*DENSE_TILE));
+  }
+  const out={ sig, byTile:new Map(Array.from(lists, ([ti, l])=>[ti, { cells:Int32Array.from(l.cells), deps:Array.from(l.deps) }])) };
+  this._statsLayouts.set(z, out);
+  return out;
+}
+
+// Per home-tile partials { rev, n, min, max, sum } (Float64Array(F) each) of layer z inside a region;
+// vals keeps the reduced cell values ([cell][field]) for histograms.
+function layerPartials(grid, z, layer, R){
+  const layout=grid._statsLayout(z), F=layer.F, dep=R.dep(z);
+  const cacheKey=R.key!=null ? `${R.key}|${z}` : null;
+  grid._statsCache ??= new Map();
+  let entry=cacheKey && grid._statsCache.get(cacheKey);
+  if (entry) grid._statsCache.delete(cacheKey); // re-inserted below as most recent
+  if (!entry || entry.layer!==layer || entry.sig!==layout.sig || entry.dep!==dep){
+    entry={ layer, sig:layout.sig, dep, tiles:new Map() };
+  }
+  if (cacheKey){
+    grid._statsCache.set(cacheKey, entry);
+    for (const k of grid._statsCache.keys()){
+      if (grid._statsCache.size<=STATS_CACHE_LIMIT) break;
+      grid._statsCache.delete(k);
+    }
+  }
+  for (const [ti, { cells, deps }] of layout.byTile){
+    // revs only grow, so their sum changes whenever a covered tile is written
+    let rev=0; for (const d of deps) rev+=layer.revs.get(d) ?? 0;
+    const old=entry.tiles.get(ti);
+    if (old && old.rev===rev) continue;
+    const p={ rev, n:0, min:new Float64Array(F).fill(Infinity), max:new Float64Array(F).fill(-Infinity), sum:new Float64Array(F), vals:null, hist:new Map() };
+    const vals=[];
+    for (let k=0; k<cells.length; k+=2){
+      if (R.test && !R.test(cells[k], cells[k+1], z)) continue;
+      const fp=grid._cellFootprint(z, cells[k], cells[k+1]);
+      for (let fi=0; fi<F; fi++){
+        const v=grid._reduceFootprint(layer, fp, fi);
+        vals.push(v);
+        if (v<p.min[fi]) p.min[fi]=v; if (v>p.max[fi]) p.max[fi]=v; p.sum[fi]+=v;
+      }
+      p.n++;
+    }
+    p.vals=Float64Array.from(vals);
+    entry.tiles.set(ti, p);
+  }
+  return entry.tiles;
+}
+
+function tileHistogram(layer, p, fi, bins, lo, hi){
+  const key=`${fi}:${bins}:${lo}:${hi}`;
+  let h=p.hist.get(key);
+  if (h) return h;
+  h=new Uint32Array(bins);
+  const F=layer.F, span=hi-lo;
+  for (let k=fi; k<p.vals.length; k+=F){
+    const v=p.vals[k];
+    h[span>0 ? Math.min(bins-1, Math.max(0, Math.floor((v-lo)/span*bins))) : 0]++;
+  }
+  p.hist.clear(); p.hist.set(key, h);
+  return h;
+}
+
+export async function regionStats(field, region, { layers=null, bins=0 }={}){
+  const fi=this.schema.index.get(field);
+  if (fi==null) throw new Error(`regionStats: unknown field '${field}'`);
+  const R=normalizeRegion(this, region);
+  const zs=(layers ?? Array.from({ length:this.effectiveCellsZ }, (_,z)=>z)).map(z=>z|0).filter(z=>z>=0 && z<this.effectiveCellsZ);
+  const rev=this._rev;
+  // pinned until all are in; the rest runs without awaiting, so none is evicted before it is read
+  const loaded=await this._withPinnedLayers(load=>Promise.all(zs.map(load)));
+  if (rev!==this._rev || this._disposed) throw new Error('regionStats: grid changed while loading layers');
+
+  const S=this.state, cellVolume=(S.gridWidth/S.cellsX)*(S.gridHeight/S.cellsY)*(S.gridDepth/this.effectiveCellsZ);
+  const out={ field, count:0, min:Infinity, max:-Infinity, sum:0, mean:0, integral:0, layers:[] };
+  const parts=[];
+  zs.forEach((z, i)=>{
+    const layer=loaded[i], tiles=layerPartials(this, z, layer, R);
+    const L={ layer:z, count:0, min:Infinity, max:-Infinity, sum:0, mean:0 };
+    for (const p of tiles.values()){
+      if (!p.n) continue;
+      L.count+=p.n; L.sum+=p.sum[fi];
+      if (p.min[fi]<L.min) L.min=p.min[fi]; if (p.max[fi]>L.max) L.max=p.max[fi];
+    }
+    if (!L.count){ L.min=0; L.max=0; } else L.mean=L.sum/L.count;
+    out.layers.push(L);
+    parts.push([layer, tiles]);
+    if (L.count){
+      out.count+=L.count; out.sum+=L.sum;
+      if (L.min<out.min) out.min=L.min; if (L.max>out.max) out.max=L.max;
+    }
+  });
+  if (!out.count){ out.min=0; out.max=0; } else out.mean=out.sum/out.count;
+  out.integral=out.sum*cellVolume;
+
+  if (bins>0){
+    const counts=new Uint32Array(bins|0);
+    for (const [layer, tiles] of parts) for (const p of tiles.values()){
+      if (!p.n) continue;
+      const h=tileHistogram(layer, p, fi, bins|0, out.min, out.max);
+      for (let b=0; b<counts.length; b++) counts[b]+=h[b];
+    }
+    out.histogram={ min:out.min, max:out.max, counts:Array.from(counts) };
+  }
+  if (!region && !layers) this._maxField[field]=out.max;
+  return out;
+}
+
+export async function fieldStats(field, opts={}){
+  return this.regionStats(field, opts.region ?? null, opts);
+}
+
+// Recomputes this._maxField for every field from whole-grid stats.
+export async function refreshFieldMax(){
+  for (const name of this.schema.fieldNames) await this.fieldStats(name);
+  return { ...this._maxField };
+}
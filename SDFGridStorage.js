@@ -1,21 +1,25 @@
-// IndexedDB and Storage Bucket helpers for SDFGrid
-import { IDB_NAME, IDB_VERSION, STORE_META, STORE_BASE, STORE_LAYER, STORE_LMETA, STORE_BASEZ } from './SDFGridConstants.js';
+// IndexedDB and Storage Bucket helpers for SDFGrid, plus pluggable storage adapters.
+//
+// Adapter interface (all methods async):
+//   get(store,key) -> value|null, put(store,key,val), del(store,key), keys(store) -> key[], close()
+//   plus `kind` ('buckets' | 'indexeddb' | 'memory' | 'fs' | custom).
+// Backends are chosen via SDFGrid params.storage: 'auto' (default) | backend name | { backend, dir }.
+import { IDB_NAME, IDB_VERSION, STORE_META, STORE_BASE, STORE_LAYER, STORE_LMETA, STORE_BASEZ, STORE_TILES, STORE_CKPT, STORE_CKPT_TILES, STORE_SPARSE } from './SDFGridConstants.js';
+import { packValue, unpackValue } from './SDFGridUtil.js';
+
+const STORES = [STORE_META, STORE_BASE, STORE_LAYER, STORE_LMETA, STORE_BASEZ, STORE_TILES, STORE_CKPT, STORE_CKPT_TILES, STORE_SPARSE];
 
 export async function openBucketLC(nameLC){
-  if (!nameLC || !navigator.storageBuckets) return null;
+  if (!nameLC || typeof navigator==='undefined' || !navigator.storageBuckets) return null;
   return navigator.storageBuckets.open(nameLC);
 }
 
-export function openFieldDB(bucket){
+export function openFieldDB(bucket, name=IDB_NAME){
   return new Promise((res,rej)=>{
-    const req=bucket.indexedDB.open(IDB_NAME, IDB_VERSION);
+    const req=bucket.indexedDB.open(name, IDB_VERSION);
     req.onupgradeneeded=e=>{
       const db=e.target.result;
-      if (!db.objectStoreNames.contains(STORE_META))  db.createObjectStore(STORE_META);
-      if (!db.objectStoreNames.contains(STORE_BASE))  db.createObjectStore(STORE_BASE);
-      if (!db.objectStoreNames.contains(STORE_LAYER)) db.createObjectStore(STORE_LAYER);
-      if (!db.objectStoreNames.contains(STORE_LMETA)) db.createObjectStore(STORE_LMETA);
-      if (!db.objectStoreNames.contains(STORE_BASEZ)) db.createObjectStore(STORE_BASEZ);
+      for (const s of STORES) if (!db.objectStoreNames.contains(s)) db.createObjectStore(s);
     };
     req.onsuccess=()=>res(req.result);
     req.onerror =()=>rej(req.error);
@@ -35,3 +39,132 @@ export function idbPut(db,store,key,val){
     const rq=st.put(val,key); rq.onsuccess=()=>res(true); rq.onerror=()=>rej(rq.error);
   });
 }
+
+export function idbDelete(db,store,key){
+  return new Promise((res,rej)=>{
+    const tx=db.transaction(store,'readwrite'), st=tx.objectStore(store);
+    const rq=st.delete(key); rq.onsuccess=()=>res(true); rq.onerror=()=>rej(rq.error);
+  });
+}
+
+export function idbKeys(db,store){
+  return new Promise((res,rej)=>{
+    const tx=db.transaction(store,'readonly'), st=tx.objectStore(store);
+    const rq=st.getAllKeys(); rq.onsuccess=()=>res(rq.result || []); rq.onerror=()=>rej(rq.error);
+  });
+}
+
+// ---- adapters ----
+
+function idbAdapter(db, kind, extra){
+  return {
+    kind, db, ...extra,
+    get:(s,k)=>idbGet(db,s,k),
+    put:(s,k,v)=>idbPut(db,s,k,v),
+    del:(s,k)=>idbDelete(db,s,k),
+    keys:(s)=>idbKeys(db,s),
+    async close(){ db.close(); }
+  };
+}
+
+export async function openBucketStorage(nameLC){
+  const bucket=await openBucketLC(nameLC);
+  if (!bucket) return null;
+  return idbAdapter(await openFieldDB(bucket), 'buckets', { bucket });
+}
+
+// Plain IndexedDB has no per-grid isolation, so the grid name is folded into the DB name.
+export async function openIndexedDBStorage(nameLC){
+  if (typeof indexedDB==='undefined') return null;
+  return idbAdapter(await openFieldDB({ indexedDB }, `${IDB_NAME}:${nameLC}`), 'indexeddb');
+}
+
+// In-memory stores live for the lifetime of the module so a grid re-created with
+// the same uid sees its earlier data. Values are cloned on the way in and out,
+// matching IndexedDB's structured-clone semantics.
+const MEMORY_DBS = new Map();
+
+export function openMemoryStorage(nameLC){
+  if (!MEMORY_DBS.has(nameLC)) MEMORY_DBS.set(nameLC, new Map());
+  const db=MEMORY_DBS.get(nameLC);
+  const st=s=>{ if (!db.has(s)) db.set(s, new Map()); return db.get(s); };
+  return {
+    kind:'memory',
+    async get(s,k){ const v=st(s).get(k); return v===undefined ? null : structuredClone(v); },
+    async put(s,k,v){ st(s).set(k, structuredClone(v)); return true; },
+    async del(s,k){ st(s).delete(k); return true; },
+    async keys(s){ return Array.from(st(s).keys()); },
+    async close(){}
+  };
+}
+
+export function clearMemoryStorage(nameLC){
+  if (nameLC==null) MEMORY_DBS.clear(); else MEMORY_DBS.delete(nameLC);
+}
+
+// Filesystem stores: <dir>/<nameLC>/<store>/<key>; keys keep their type via an n./s. prefix.
+const fsKey   = k=>typeof k==='number' ? `n.${k}` : `s.${encodeURIComponent(String(k))}`;
+const fsUnkey = f=>f.startsWith('n.') ? Number(f.slice(2)) : decodeURIComponent(f.slice(2));
+
+export async function openFSStorage(nameLC, dir){
+  if (typeof process==='undefined' || !process.versions?.node) throw new Error("Storage backend 'fs' needs Node.js");
+  if (!dir) throw new Error("Storage backend 'fs' needs storage.dir");
+  const fs=await import('node:fs/promises');
+  const path=await import('node:path');
+  const root=path.join(dir, nameLC);
+  for (const s of STORES) await fs.mkdir(path.join(root, s), { recursive:true });
+  const file=(s,k)=>path.join(root, s, fsKey(k));
+  let seq=0;
+  return {
+    kind:'fs', dir:root,
+    async get(s,k){
+      try { return unpackValue(await fs.readFile(file(s,k))); }
+      catch(e){ if (e.code==='ENOENT') return null; throw e; }
+    },
+    async put(s,k,v){
+      const data=new Uint8Array(packValue(v)); // snapshot before awaiting, like IDB's put()
+      await fs.mkdir(path.join(root, s), { recursive:true });
+      const f=file(s,k), tmp=`${f}.${++seq}.tmp`;
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, f);
+      return true;
+    },
+    async del(s,k){ await fs.rm(file(s,k), { force:true }); return true; },
+    async keys(s){
+      try { return (await fs.readdir(path.join(root, s))).filter(f=>!f.endsWith('.tmp')).map(fsUnkey); }
+      catch(e){ if (e.code==='ENOENT') return []; throw e; }
+    },
+    async close(){}
+  };
+}
+
+const BACKENDS = {
+  buckets:   (name)=>openBucketStorage(name),
+  indexeddb: (name)=>openIndexedDBStorage(name),
+  memory:    (name)=>openMemoryStorage(name),
+  fs:        (name,opts)=>openFSStorage(name, opts.dir)
+};
+
+export function registerStorageBackend(name, opener){ BACKENDS[name]=opener; }
+
+export function normalizeStorageOptions(o){
+  if (!o) return { backend:'auto' };
+  if (typeof o==='string') return { backend:o };
+  return { ...o, backend:o.backend || 'auto' };
+}
+
+// Opens the adapter for a grid; 'auto' tries buckets, then plain IndexedDB, then memory.
+export async function openStorage(nameLC, opts){
+  const o=normalizeStorageOptions(opts);
+  if (!nameLC || o.backend==='none') return null;
+  if (o.backend!=='auto'){
+    const open=BACKENDS[o.backend];
+    if (!open) throw new Error(`Unknown storage backend: ${o.backend}`);
+    return open(nameLC, o);
+  }
+  for (const b of ['buckets','indexeddb','memory']){
+    try { const a=await BACKENDS[b](nameLC, o); if (a) return a; }
+    catch(e){ console.warn(`Storage backend '${b}' failed`, e); }
+  }
+  return null;
+}
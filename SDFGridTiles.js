@@ -0,0 +1,84 @@
+// Tiled dense layer storage for SDFGrid.
+// A layer is DENSE_W×DENSE_H pixels × F interleaved fields, split into DENSE_TILE² tiles.
+// Tiles are allocated on first non-zero write; missing tiles read as zeros.
+import { DENSE_W, DENSE_H, DENSE_TILE, TILES_X, TILES_Y } from './SDFGridConstants.js';
+
+export const TILE_PIXELS = DENSE_TILE * DENSE_TILE;
+
+export function tileKey(z, ti){ return `${z|0}:${ti|0}`; }
+export function tileIndexOf(xPix, yPix){ return ((yPix/DENSE_TILE)|0)*TILES_X + ((xPix/DENSE_TILE)|0); }
+export function tileOrigin(ti){ return { x:(ti%TILES_X)*DENSE_TILE, y:((ti/TILES_X)|0)*DENSE_TILE }; }
+
+export class DenseLayer {
+  constructor(F, template=null){
+    this.F = F;
+    this.template = template; // optional Float32Array(TILE_PIXELS*F) cloned into new tiles
+    this.tiles = new Map();   // tileIndex -> Float32Array(TILE_PIXELS*F)
+    this.dirty = new Set();   // tileIndex, cleared by flushes
+    this.revs = new Map();    // tileIndex -> write count, never cleared (incremental views diff against it)
+  }
+
+  get tileCount(){ return this.tiles.size; }
+  get byteLength(){ return this.tiles.size * TILE_PIXELS * this.F * 4; }
+
+  tile(ti, create=false){
+    let t=this.tiles.get(ti);
+    if (!t && create){
+      t=this.template ? this.template.slice() : new Float32Array(TILE_PIXELS*this.F);
+      this.tiles.set(ti, t);
+    }
+    return t || null;
+  }
+
+  offset(xPix, yPix, fi){
+    return (((yPix%DENSE_TILE)*DENSE_TILE) + (xPix%DENSE_TILE))*this.F + fi;
+  }
+
+  inBounds(xPix, yPix){ return xPix>=0 && yPix>=0 && xPix<DENSE_W && yPix<DENSE_H; }
+
+  get(xPix, yPix, fi){
+    if (!this.inBounds(xPix,yPix)) return 0;
+    const t=this.tiles.get(tileIndexOf(xPix,yPix));
+    return t ? t[this.offset(xPix,yPix,fi)] : (this.template ? this.template[fi] : 0);
+  }
+
+  set(xPix, yPix, fi, v){
+    if (!this.inBounds(xPix,yPix)) return;
+    const ti=tileIndexOf(xPix,yPix);
+    const t=this.tile(ti, v!==this.get(xPix,yPix,fi));
+    if (!t) return;
+    t[this.offset(xPix,yPix,fi)]=v;
+    this.touch(ti);
+  }
+
+  // Marks a tile written (for code that edits tile arrays directly).
+  touch(ti){
+    this.dirty.add(ti);
+    this.revs.set(ti, (this.revs.get(ti)||0)+1);
+  }
+
+  add(xPix, yPix, fi, inc){
+    if (!inc) return this.get(xPix,yPix,fi);
+    const nxt=this.get(xPix,yPix,fi)+inc;
+    this.set(xPix,yPix,fi,nxt);
+    return nxt;
+  }
+
+  // Splits a legacy whole-layer buffer into tiles, keeping only tiles with data.
+  static fromDense(F, arr, template=null){
+    const layer=new DenseLayer(F, template);
+    for (let ti=0; ti<TILES_X*TILES_Y; ti++){
+      const o=tileOrigin(ti);
+      let t=null;
+      for (let y=0; y<DENSE_TILE; y++){
+        const src=((o.y+y)*DENSE_W + o.x)*F;
+        const row=arr.subarray(src, src+DENSE_TILE*F);
+        if (!t && !row.some(v=>v!==0)) continue;
+        t ??= new Float32Array(TILE_PIXELS*F);
+        t.set(row, y*DENSE_TILE*F);
+      }
+      if (t){ layer.tiles.set(ti, t); layer.dirty.add(ti); }
+    }
+    return layer;
+  }
+}
@@ -0,0 +1,216 @@
+// Field transport for the dense overlay: per-field diffusion (in-plane and between
+// adjacent z layers) and first-order decay, masked to the SDF interior.
+//
+// Coefficients live in this.fieldTransport[name] = { diffusion, decay }:
+//   diffusion : world units² / second (explicit 7-point stencil, no flux across the mask)
+//   decay     : 1 / second, applied as exp(-decay*dt)
+// Unlisted fields are left alone ({ diffusion:0, decay:0 }); this.decayRate only ages sparse cell data.
+// Vertical diffusion couples the same pixel of adjacent layers, so it only runs between layers with
+// the same nucleus (SDFGridNucleus.js); elsewhere that pixel is a different cell and the layers
+// stay apart.
+// this.transportOptions = { maxSubsteps (8), epsilon (1e-6) }.
+import { DENSE_W, DENSE_H, DENSE_TILE, TILES_X, TILES_Y } from './SDFGridConstants.js';
+import { TILE_PIXELS, tileOrigin } from './SDFGridTiles.js';
+import { coerceValue } from './SDFGridSchema.js';
+
+const T = DENSE_TILE, P = T+2; // padded tile edge
+
+export function fieldTransportFor(name){
+  const c=this.fieldTransport?.[name] || {};
+  return {
+    diffusion: Math.max(0, +c.diffusion || 0),
+    decay:     Math.max(0, +c.decay || 0)
+  };
+}
+
+export function setFieldTransport(name, coeffs){
+  this.fieldTransport ??= {};
+  this.fieldTransport[name] = { ...this.fieldTransport[name], ...coeffs };
+  return this.fieldTransportFor(name);
+}
+
+// Per-tile domain mask in dense pixels, derived from the logical interior mask.
+function tileMask(grid, z, ti, out){
+  const o=tileOrigin(ti);
+  const W=grid.state.cellsX, H=grid.state.cellsY;
+  const m=grid._interiorMask(z);
+  const cols=new Int32Array(P), rows=new Int32Array(P);
+  for (let i=0;i<P;i++){
+    const c=grid._denseToCell(z, o.x+i-1, o.y+i-1);
+    cols[i]=c.x; rows[i]=c.y;
+  }
+  for (let j=0;j<P;j++){
+    const y=rows[j], yIn=y>=0&&y<H, py=o.y+j-1;
+    for (let i=0;i<P;i++){
+      const x=cols[i], px=o.x+i-1;
+      out[j*P+i] = (yIn && x>=0 && x<W && px>=0 && py>=0 && px<DENSE_W && py<DENSE_H) ? m[y*W+x] : 0;
+    }
+  }
+  return out;
+}
+
+// Queues a 'cellschange' for every in-grid cell owning a pixel of tile ti.
+function queueTileCells(grid, z, ti, fields){
+  const o=tileOrigin(ti);
+  const W=grid.state.cellsX, H=grid.state.cellsY;
+  const a=grid._denseToCell(z, o.x, o.y), b=grid._denseToCell(z, o.x+T-1, o.y+T-1);
+  for (let y=Math.max(0, a.y); y<=Math.min(H-1, b.y); y++)
+    for (let x=Math.max(0, a.x); x<=Math.min(W-1, b.x); x++) grid._queueCellChange(z, x, y, fields);
+}
+
+// Copies field fi of tile ti (plus a one-pixel border from neighbouring tiles) into out.
+function readPadded(layer, ti, fi, out){
+  const o=tileOrigin(ti);
+  const dflt=layer.template ? layer.template[fi] : 0;
+  const t=layer.tiles.get(ti);
+  const F=layer.F;
+  for (let j=1;j<=T;j++){
+    const row=j*P;
+    if (t) for (let i=1;i<=T;i++) out[row+i]=t[(((j-1)*T)+(i-1))*F+fi];
+    else   out.fill(dflt, row+1, row+T+1);
+  }
+  for (let i=0;i<P;i++){
+    out[i]         = layer.get(o.x+i-1, o.y-1, fi);
+    out[(P-1)*P+i] = layer.get(o.x+i-1, o.y+T, fi);
+  }
+  for (let j=1;j<=T;j++){
+    out[j*P]       = layer.get(o.x-1, o.y+j-1, fi);
+    out[j*P+P-1]   = layer.get(o.x+T, o.y+j-1, fi);
+  }
+  return out;
+}
+
+function activeTiles(layers, z, spreadXY, spreadZ){
+  const set=new Set(layers[z].tiles.keys());
+  if (spreadXY){
+    for (const ti of layers[z].tiles.keys()){
+      const tx=ti%TILES_X, ty=(ti/TILES_X)|0;
+      if (tx>0) set.add(ti-1); if (tx<TILES_X-1) set.add(ti+1);
+      if (ty>0) set.add(ti-TILES_X); if (ty<TILES_Y-1) set.add(ti+TILES_X);
+    }
+  }
+  if (spreadZ){
+    if (layers[z-1]) for (const ti of layers[z-1].tiles.keys()) set.add(ti);
+    if (layers[z+1]) for (const ti of layers[z+1].tiles.keys()) set.add(ti);
+  }
+  return set;
+}
+
+// Jacobi update of one padded tile into out (T×T); returns whether any value differs from dflt.
+function stencil(cur, below, above, m, mb, ma, rx, ry, rz, decay, dflt, eps, out){
+  let any=false;
+  for (let j=1;j<=T;j++){
+    for (let i=1;i<=T;i++){
+      const k=j*P+i, v=cur[k];
+      let nv=v;
+      if (m[k]){
+        let lap=0;
+        if (m[k-1]) lap+=rx*(cur[k-1]-v);
+        if (m[k+1]) lap+=rx*(cur[k+1]-v);
+        if (m[k-P]) lap+=ry*(cur[k-P]-v);
+        if (m[k+P]) lap+=ry*(cur[k+P]-v);
+        if (below!==null && mb[k]) lap+=rz*(below[k]-v);
+        if (above!==null && ma[k]) lap+=rz*(above[k]-v);
+        nv=(v+lap)*decay;
+        if (Math.abs(nv-dflt)<eps) nv=dflt;
+      }
+      out[(j-1)*T+(i-1)]=nv;
+      if (nv!==dflt) any=true;
+    }
+  }
+  return any;
+}
+
+function activeFields(grid){
+  return grid.schema.fieldNames.map((n,fi)=>({ fi, ...grid.fieldTransportFor(n) })).filter(c=>c.diffusion>0 || c.decay>0);
+}
+
+// One transport step over every layer. Substeps keep the explicit scheme stable up to
+// this.transportOptions.maxSubsteps; beyond that the diffusion rate is clamped.
+// Without any diffusing or decaying field nothing is loaded or written.
+export async function stepFields(dt){
+  if (this._disposed || !(dt>0) || !activeFields(this).length) return;
+  return this._withPinnedLayers(load=>transportStep.call(this, dt, load));
+}
+
+// Every layer may be written, so all of them are loaded pinned.
+async function transportStep(dt, load){
+  if (this._disposed || !(dt>0)) return;
+  const rev=this._rev;
+  const names=this.schema.fieldNames;
+  const active=activeFields(this);
+  if (!active.length) return;
+
+  const Z=this.effectiveCellsZ;
+  const layers=await Promise.all(Array.from({length:Z}, (_,z)=>load(z)));
+  if (this._disposed || this._rev!==rev) return;
+
+  const hx=this.state.gridWidth/DENSE_W, hy=this.state.gridHeight/DENSE_H, hz=this.state.gridDepth/Z;
+  const maxSub=Math.max(1, this.transportOptions?.maxSubsteps|0 || 8);
+  const eps=this.transportOptions?.epsilon ?? 1e-6; // values this close to the default snap to it
+  const F=names.length;
+
+  const masks=new Map();
+  const maskOf=(z,ti)=>{
+    const k=`${z}:${ti}`;
+    if (!masks.has(k)) masks.set(k, tileMask(this, z, ti, new Uint8Array(P*P)));
+    return masks.get(k);
+  };
+
+  // coupled[z]: layers z and z+1 share a nucleus, so their pixels line up
+  const coupled=Array.from({length:Z-1}, (_,z)=>{
+    const a=this.getNucleus(z), b=this.getNucleus(z+1);
+    return a.x===b.x && a.y===b.y;
+  });
+
+  const cur=new Float32Array(P*P), below=new Float32Array(P*P), above=new Float32Array(P*P);
+  const touched=new Map(); // z -> Set of rewritten tiles
+  const pool=[];
+
+  for (const c of active){
+    const kx=c.diffusion/(hx*hx), ky=c.diffusion/(hy*hy), kz=Z>1 ? c.diffusion/(hz*hz) : 0;
+    const sum=(kx+ky+kz)*dt;
+    const nSub=Math.min(maxSub, Math.max(1, Math.ceil(sum/0.45)));
+    const h=dt/nSub;
+    const scale=Math.min(1, 0.45/Math.max(1e-12, sum/nSub)); // clamp past maxSubsteps
+    const rx=kx*h*scale, ry=ky*h*scale, rz=kz*h*scale;
+    const decay=Math.exp(-c.decay*h);
+    const fi=c.fi;
+
+    for (let s=0; s<nSub; s++){
+      const next=[];
+      for (let z=0; z<Z; z++){
+        const L=layers[z];
+        const dflt=L.template ? L.template[fi] : 0;
+        for (const ti of activeTiles(layers, z, rx>0||ry>0, rz>0)){
+          const m=maskOf(z, ti);
+          readPadded(L, ti, fi, cur);
+          const mb=rz>0 && z>0   && coupled[z-1] ? maskOf(z-1, ti) : null;
+          const ma=rz>0 && z<Z-1 && coupled[z]   ? maskOf(z+1, ti) : null;
+          if (mb) readPadded(layers[z-1], ti, fi, below);
+          if (ma) readPadded(layers[z+1], ti, fi, above);
+
+          const out=pool.pop() || new Float32Array(TILE_PIXELS);
+          const any=stencil(cur, mb?below:null, ma?above:null, m, mb, ma, rx, ry, rz, decay, dflt, eps, out);
+          if (any || L.tiles.has(ti)) next.push([z, ti, out]); else pool.push(out);
+        }
+      }
+      const d=this.schema.fields[fi], plain=d.type==='float32' && !d.range;
+      for (const [z, ti, out] of next){
+        const t=layers[z].tile(ti, true);
+        for (let p=0; p<TILE_PIXELS; p++) t[p*F+fi]=plain ? out[p] : coerceValue(d, out[p]);
+        layers[z].touch(ti);
+        if (!touched.has(z)) touched.set(z, new Set());
+        touched.get(z).add(ti);
+        pool.push(out);
+      }
+    }
+  }
+
+  const fields=active.map(c=>names[c.fi]);
+  for (const [z, tis] of touched){
+    this._dirtyLayers.add(z);
+    for (const ti of tis) queueTileCells(this, z, ti, fields);
+  }
+  this._scheduleFlush();
+}
@@ -20,3 +20,44 @@ export function arraysEqual(a,b){
   if (a===b) return true; if (!a||!b) return false; if (a.length!==b.length) return false;
   for (let i=0;i<a.length;i++) if (a[i]!==b[i]) return false; return true;
 }
+
+// Binary-safe value packing: JSON header + appended buffers.
+// Layout: u32 jsonBytes | json | (u32 len | bytes)*  — ArrayBuffers/typed arrays become {__bin:i,t},
+// NaN and ±Infinity (null in plain JSON) become {__num:'NaN'|'Infinity'|'-Infinity'}
+const BIN_TYPES = { ArrayBuffer, Float32Array, Float64Array, Int16Array, Uint16Array, Int32Array, Uint32Array, Int8Array, Uint8Array };
+
+export function packValue(val){
+  const bins=[];
+  const json=JSON.stringify(val, function(k,v){
+    const raw=this[k];
+    if (raw instanceof ArrayBuffer){ bins.push(new Uint8Array(raw)); return { __bin:bins.length-1, t:'ArrayBuffer' }; }
+    if (ArrayBuffer.isView(raw) && BIN_TYPES[raw.constructor.name]){
+      bins.push(new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength).slice());
+      return { __bin:bins.length-1, t:raw.constructor.name };
+    }
+    if (typeof raw==='number' && !Number.isFinite(raw)) return { __num:String(raw) };
+    return v;
+  }) ?? 'null';
+  const head=new TextEncoder().encode(json);
+  let total=4+head.length; for (const b of bins) total+=4+b.length;
+  const out=new Uint8Array(total), dv=new DataView(out.buffer);
+  dv.setUint32(0, head.length, true); out.set(head, 4);
+  let off=4+head.length;
+  for (const b of bins){ dv.setUint32(off, b.length, true); out.set(b, off+4); off+=4+b.length; }
+  return out.buffer;
+}
+
+export function unpackValue(buf){
+  const u8=ArrayBuffer.isView(buf) ? new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength) : new Uint8Array(buf);
+  const dv=new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const hl=dv.getUint32(0, true);
+  const json=new TextDecoder().decode(u8.subarray(4, 4+hl));
+  const bins=[]; let off=4+hl;
+  while (off<u8.length){ const n=dv.getUint32(off, true); bins.push(u8.slice(off+4, off+4+n).buffer); off+=4+n; }
+  return JSON.parse(json, (k,v)=>{
+    if (v && typeof v.__num==='string') return Number(v.__num);
+    if (!v || typeof v!=='object' || typeof v.__bin!=='number') return v;
+    const b=bins[v.__bin];
+    return v.t==='ArrayBuffer' ? b : new BIN_TYPES[v.t](b);
+  });
+}
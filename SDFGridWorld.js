@@ -0,0 +1,105 @@
+// A world of several SDFGrids stepped together, e.g. connected chambers modelled as separate grids.
+//
+// Each step every particle is assigned to one grid: among the grids whose bounding box holds it
+// and whose SDF is negative there, the highest priority wins (ties go to the grid it is deepest
+// in). A particle inside no grid stays with its previous owner, or goes to the grid whose
+// surface is nearest. Owner changes are hand-offs, reported as 'handoff' events
+// { particle, from, to } (grids, from may be null). Grids leave the world when disposed.
+//
+//   const world=new SDFWorld();
+//   world.add(chamberA, { priority:1 }); world.add(corridor);
+//   await world.step(particles, dt);
+import { SDF_EVENTS } from './SDFGridEvents.js';
+
+export class SDFWorld extends EventTarget {
+  constructor(opts={}){
+    super();
+    this.entries = [];              // { grid, priority, margin, onDispose }
+    this._owner  = new WeakMap();   // particle -> grid
+    for (const g of opts.grids || []) this.add(g);
+  }
+
+  get grids(){ return this.entries.map(e=>e.grid); }
+
+  // margin widens the bounding-box test (world units), for SDFs that reach slightly past the box
+  add(grid, { priority=0, margin=0 }={}){
+    this.remove(grid);
+    const onDispose=()=>this.remove(grid);
+    grid.addEventListener(SDF_EVENTS.DISPOSE, onDispose);
+    this.entries.push({ grid, priority:+priority||0, margin:+margin||0, onDispose });
+    this.entries.sort((a,b)=>b.priority-a.priority);
+    return this;
+  }
+
+  remove(grid){
+    const i=this.entries.findIndex(e=>e.grid===grid);
+    if (i<0) return false;
+    grid.removeEventListener(SDF_EVENTS.DISPOSE, this.entries[i].onDispose);
+    this.entries.splice(i, 1);
+    return true;
+  }
+
+  setPriority(grid, priority){
+    const e=this.entries.find(e=>e.grid===grid);
+    if (e){ e.priority=+priority||0; this.entries.sort((a,b)=>b.priority-a.priority); }
+    return !!e;
+  }
+
+  ownerOf(particle){ return this._owner.get(particle) || null; }
+
+  // Signed distance to a grid's volume, or null outside its bounding box.
+  _distance(e, point){
+    const g=e.grid, S=g.state, P=g.position, m=e.margin;
+    if (Math.abs(point.x-P.x)>S.gridWidth/2+m || Math.abs(point.y-P.y)>S.gridHeight/2+m || Math.abs(point.z-P.z)>S.gridDepth/2+m) return null;
+    return g.sdf(point, g.zLayerIndexFromWorldZ(point.z));
+  }
+
+  // Grid whose volume contains point (highest priority, then deepest), or null.
+  gridAt(point){
+    let best=null, bestD=0, bestP=-Infinity;
+    for (const e of this.entries){
+      if (best && e.priority<bestP) break; // entries are sorted by priority
+      const d=this._distance(e, point);
+      if (d===null || d>=0) continue;
+      if (!best || d<bestD){ best=e.grid; bestD=d; bestP=e.priority; }
+    }
+    return best;
+  }
+
+  _assign(p){
+    const g=this.gridAt(p.position);
+    if (g) return g;
+    const prev=this._owner.get(p);
+    if (prev && this.entries.some(e=>e.grid===prev)) return prev;
+    let best=null, bestD=Infinity;
+    for (const e of this.entries){
+      const d=e.grid.sdf(p.position, e.grid.zLayerIndexFromWorldZ(p.position.z));
+      if (d<bestD){ best=e.grid; bestD=d; }
+    }
+    return best;
+  }
+
+  // Assigns particles to grids, then runs each grid's updateParticles on its share in priority order.
+  async step(particles, dt){
+    const groups=new Map(this.entries.map(e=>[e.grid, []]));
+    const handoffs=[];
+    for (const p of particles){
+      const g=this._assign(p);
+      if (!g) continue;
+      const prev=this._owner.get(p) || null;
+      if (prev!==g){
+        this._owner.set(p, g);
+        handoffs.push({ particle:p, from:prev, to:g });
+      }
+      groups.get(g).push(p);
+    }
+    for (const h of handoffs) this.dispatchEvent(new CustomEvent('handoff', { detail:h }));
+
+    const counts={};
+    for (const [g, ps] of groups){
+      counts[g.uid]=ps.length;
+      if (!g._disposed) await g.updateParticles(ps, dt);
+    }
+    return { counts, handoffs:handoffs.length };
+  }
+}